@@ -0,0 +1,268 @@
+// Optional shared backend for the PO app: a small REST API over one JSON file.
+//   npm run server                       (PORT=8787, HOST=127.0.0.1, PO_DATA_FILE=server/data/db.json)
+// Every PO and document carries a version number; a write must name the version it was based on,
+// and a stale one is refused with 409 and the current copy, so two people can't silently overwrite each other.
+//
+// There are no logins: by default only this machine can reach the server. To share it on purpose, e.g.
+//   HOST=0.0.0.0 CORS_ORIGIN=https://syedbasha98.github.io npm run server
+// and keep it on a trusted network or behind a proxy that asks for a password; anyone who reaches it
+// can read and change every PO. CORS_ORIGIN limits which web page may call it from a browser (default *).
+import { createServer } from "node:http";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname, resolve } from "node:path";
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || "127.0.0.1";
+const CORS_ORIGIN = process.env.CORS_ORIGIN || "*";
+const DATA_FILE = resolve(process.env.PO_DATA_FILE || "server/data/db.json");
+const MAX_BODY = 20 * 1024 * 1024;
+
+// shared documents besides the POs
+const DOCS = ["master", "catalog"];
+
+// per-line lists of a PO, keyed by item line id
+const LINE_LISTS = ["sales", "shipments", "supplierOrders"];
+
+/* ---------- Database ---------- */
+// { pos: { [id]: { version, po } }, master: { version, data }, catalog: { version, data } };
+// POs are keyed by ids from the URL, so their object has no prototype ("constructor" is just an id)
+const posOf = (pos) => Object.assign(Object.create(null), pos);
+
+const emptyDb = () => ({
+  pos: posOf({}),
+  ...Object.fromEntries(DOCS.map((d) => [d, { version: 0, data: null }])),
+});
+
+let db = emptyDb();
+
+const load = async () => {
+  try {
+    const saved = JSON.parse(await readFile(DATA_FILE, "utf8"));
+    db = { ...emptyDb(), ...saved, pos: posOf(saved.pos) };
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+};
+
+// writes go through a temp file so a crash never leaves half a database
+const persist = async (next) => {
+  await mkdir(dirname(DATA_FILE), { recursive: true });
+  await writeFile(`${DATA_FILE}.tmp`, JSON.stringify(next));
+  await rename(`${DATA_FILE}.tmp`, DATA_FILE);
+};
+
+// changes run one at a time, each on the database the previous one left; `change(db)` returns the next
+// database (or null to leave it), which only replaces the current one once it is on disk. A failed write
+// leaves the database as it was and doesn't hold up the changes after it.
+let queue = Promise.resolve();
+const update = (change) => {
+  const run = queue.then(async () => {
+    const next = change(db);
+    if (!next) return false;
+    await persist(next);
+    db = next;
+    return true;
+  });
+  queue = run.catch(() => {});
+  return run;
+};
+
+// the database with one PO record replaced (or removed, for null)
+const withPO = (base, id, record) => {
+  const pos = posOf(base.pos);
+  if (record) pos[id] = record;
+  else delete pos[id];
+  return { ...base, pos };
+};
+
+/* ---------- HTTP helpers ---------- */
+const HEADERS = {
+  "Access-Control-Allow-Origin": CORS_ORIGIN,
+  "Access-Control-Allow-Methods": "GET, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { ...HEADERS, ...(body === undefined ? {} : { "Content-Type": "application/json" }) });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const readBody = (req) =>
+  new Promise((ok, fail) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY) fail(new HttpError(413, "Request body is too large."));
+      else chunks.push(c);
+    });
+    req.on("end", () => {
+      try {
+        ok(chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : {});
+      } catch {
+        fail(new HttpError(400, "Request body is not valid JSON."));
+      }
+    });
+    req.on("error", fail);
+  });
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// the write must be based on the stored version (0 for something new), otherwise 409 with what is stored now
+const checkVersion = (res, sent, stored, current) => {
+  if (sent === stored) return true;
+  send(res, 409, { error: "Changed by someone else since you loaded it.", version: stored, ...current });
+  return false;
+};
+
+/* ---------- Routes ---------- */
+const poRecord = (base, id) => base.pos[id] || { version: 0, po: null };
+
+// items and sales are parts of their PO and share its version
+const PARTS = {
+  items: {
+    get: (po) => po.items,
+    set: (po, items) => {
+      if (!Array.isArray(items) || !items.every(isObject)) throw new HttpError(400, "items must be a list of lines.");
+      const ids = new Set(items.map((r) => r.id));
+      const lists = Object.fromEntries(
+        LINE_LISTS.map((k) => [k, Object.fromEntries(Object.entries(po[k] || {}).filter(([id]) => ids.has(id)))])
+      );
+      return { ...po, ...lists, items };
+    },
+  },
+  sales: {
+    get: (po) => po.sales || {},
+    set: (po, sales) => {
+      if (!isObject(sales)) throw new HttpError(400, "sales must be an object keyed by line id.");
+      return { ...po, sales };
+    },
+  },
+};
+
+const routes = [
+  ["GET", /^\/api\/health$/, (req, res) => send(res, 200, { ok: true })],
+
+  ["GET", /^\/api\/pos$/, (req, res) => send(res, 200, Object.values(db.pos))],
+
+  [
+    "GET",
+    /^\/api\/pos\/([^/]+)$/,
+    (req, res, id) => (db.pos[id] ? send(res, 200, db.pos[id]) : send(res, 404, { error: "No such PO." })),
+  ],
+
+  [
+    "PUT",
+    /^\/api\/pos\/([^/]+)$/,
+    async (req, res, id) => {
+      const { version, po } = await readBody(req);
+      if (!isObject(po) || !isObject(po.header) || !Array.isArray(po.items) || !po.items.every(isObject)) {
+        throw new HttpError(400, "Body must be { version, po } with a PO header and items.");
+      }
+      let saved;
+      const done = await update((base) => {
+        const stored = poRecord(base, id);
+        if (!checkVersion(res, version, stored.version, { po: stored.po })) return null;
+        saved = { version: stored.version + 1, po: { ...po, id } };
+        return withPO(base, id, saved);
+      });
+      if (done) send(res, saved.version > 1 ? 200 : 201, saved);
+    },
+  ],
+
+  [
+    "DELETE",
+    /^\/api\/pos\/([^/]+)$/,
+    async (req, res, id, query) => {
+      await update((base) => {
+        const stored = base.pos[id];
+        if (!stored) return null;
+        if (!checkVersion(res, Number(query.get("version")), stored.version, { po: stored.po })) return null;
+        return withPO(base, id, null);
+      });
+      // deleted, or nothing stored (as good as deleted); a 409 has been sent already
+      if (!res.headersSent) send(res, 204);
+    },
+  ],
+
+  [
+    "GET",
+    /^\/api\/pos\/([^/]+)\/(items|sales)$/,
+    (req, res, id, query, part) => {
+      const stored = db.pos[id];
+      if (!stored) return send(res, 404, { error: "No such PO." });
+      send(res, 200, { version: stored.version, [part]: PARTS[part].get(stored.po) });
+    },
+  ],
+
+  [
+    "PUT",
+    /^\/api\/pos\/([^/]+)\/(items|sales)$/,
+    async (req, res, id, query, part) => {
+      const body = await readBody(req);
+      let saved;
+      const done = await update((base) => {
+        const stored = base.pos[id];
+        if (!stored) throw new HttpError(404, "No such PO.");
+        if (!checkVersion(res, body.version, stored.version, { [part]: PARTS[part].get(stored.po) })) return null;
+        saved = { version: stored.version + 1, po: PARTS[part].set(stored.po, body[part]) };
+        return withPO(base, id, saved);
+      });
+      if (done) send(res, 200, { version: saved.version, [part]: PARTS[part].get(saved.po) });
+    },
+  ],
+
+  ["GET", new RegExp(`^/api/(${DOCS.join("|")})$`), (req, res, doc) => send(res, 200, db[doc])],
+
+  [
+    "PUT",
+    new RegExp(`^/api/(${DOCS.join("|")})$`),
+    async (req, res, doc) => {
+      const { version, data } = await readBody(req);
+      if (!isObject(data)) throw new HttpError(400, "Body must be { version, data }.");
+      let saved;
+      const done = await update((base) => {
+        if (!checkVersion(res, version, base[doc].version, { data: base[doc].data })) return null;
+        saved = { version: base[doc].version + 1, data };
+        return { ...base, [doc]: saved };
+      });
+      if (done) send(res, 200, saved);
+    },
+  ],
+];
+
+const decodePart = (s) => {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    throw new HttpError(400, "Malformed URL.");
+  }
+};
+
+const handle = async (req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204);
+  const url = new URL(req.url, "http://localhost");
+  for (const [method, pattern, fn] of routes) {
+    const m = req.method === method && url.pathname.match(pattern);
+    if (!m) continue;
+    const [first, ...rest] = m.slice(1).map(decodePart);
+    return first === undefined ? fn(req, res) : fn(req, res, first, url.searchParams, ...rest);
+  }
+  send(res, 404, { error: `No route for ${req.method} ${url.pathname}.` });
+};
+
+/* ---------- Start ---------- */
+await load();
+createServer((req, res) =>
+  handle(req, res).catch((e) => {
+    if (!(e instanceof HttpError)) console.error(e);
+    send(res, e.status || 500, { error: e instanceof HttpError ? e.message : "Server error." });
+  })
+).listen(PORT, HOST, () => console.log(`PO server on http://${HOST}:${PORT} (data: ${DATA_FILE})`));
@@ -0,0 +1,88 @@
+import { PRICE_LOCK_AFTER, approvalLabel } from "../lib/approvals";
+
+const fmtWhen = (iso) => (iso ? new Date(iso).toLocaleString() : "");
+
+const DECISIONS = { approved: "Approved", rejected: "Rejected" };
+
+/* ---------- Component ---------- */
+// price / QTY change requests on the open PO, waiting ones first; `canDecide` is false for the requester's own
+export default function ApprovalPanel({ po, locked, canDecide, onDecide }) {
+  const approvals = po.approvals || [];
+  if (!locked && !approvals.length) return null;
+
+  const waiting = approvals.filter((a) => a.status === "pending");
+  const rows = [...waiting, ...approvals.filter((a) => a.status !== "pending").reverse()];
+  const lineName = (id) => {
+    if (!id) return "Header";
+    const r = po.items.find((x) => x.id === id);
+    return r ? `${r.lineNo}${r.item ? ` (${r.item})` : ""}` : "(removed)";
+  };
+
+  return (
+    <section className="po-card">
+      <div className="po-card__header">
+        <h3 className="po-title">Price / QTY Approvals ({waiting.length} waiting)</h3>
+      </div>
+      {locked && (
+        <p className="po-note">
+          This PO is past “{PRICE_LOCK_AFTER}”: unit prices, quantities, discounts, currency and VAT change only
+          through an approved request (✎ under the field).
+        </p>
+      )}
+      {rows.length > 0 && (
+        <div className="po-table-wrap">
+          <table className="po-table">
+            <thead>
+              <tr>
+                <th>Line</th>
+                <th>Field</th>
+                <th>From → To</th>
+                <th>Reason</th>
+                <th>Requested</th>
+                <th>Decision</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((a) => (
+                <tr key={a.id}>
+                  <td data-label="Line">{lineName(a.lineId)}</td>
+                  <td data-label="Field">{approvalLabel(a.field)}</td>
+                  <td data-label="From → To" className="nowrap">
+                    {a.from || "—"} → <b>{a.to}</b>
+                  </td>
+                  <td data-label="Reason" className="col-wide">{a.reason}</td>
+                  <td data-label="Requested">
+                    {a.requestedBy}
+                    <span className="po-hint">{fmtWhen(a.requestedAt)}</span>
+                  </td>
+                  <td data-label="Decision">
+                    {a.status === "pending" ? (
+                      <div className="po-actions">
+                        <button className="po-btn ghost" onClick={() => onDecide(a.id, true)} disabled={!canDecide(a)}>
+                          Approve
+                        </button>
+                        <button
+                          className="po-btn danger ghost"
+                          onClick={() => onDecide(a.id, false)}
+                          disabled={!canDecide(a)}
+                        >
+                          Reject
+                        </button>
+                      </div>
+                    ) : (
+                      <>
+                        <b>{DECISIONS[a.status]}</b> by {a.decidedBy}
+                        <span className="po-hint">{fmtWhen(a.decidedAt)}</span>
+                        {a.note && <span className="po-hint">{a.note}</span>}
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
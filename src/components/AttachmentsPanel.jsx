@@ -0,0 +1,177 @@
+import { useEffect, useState } from "react";
+import { ATTACHMENT_TYPES, canPreview, getFile, missingTpiNotes, sizeLabel } from "../lib/attachments";
+import { downloadBlob } from "../lib/download";
+
+const lineLabel = (items, lineId) => {
+  if (!lineId) return "Whole PO";
+  const r = items.find((x) => x.id === lineId);
+  return r ? `Line ${r.lineNo}${r.item ? ` (${r.item})` : ""}` : "Removed line";
+};
+
+/* ---------- Component ---------- */
+// Certificates, quotes and signed documents for the open PO, plus the TPI release checklist;
+// without `canEdit` files can be opened but not added, retagged or removed
+export default function AttachmentsPanel({ po, canEdit, onAdd, onRetag, onRemove }) {
+  const { items } = po;
+  const attachments = po.attachments || [];
+  const [type, setType] = useState("mtc");
+  const [lineId, setLineId] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [preview, setPreview] = useState(null); // { name, mime, url }
+
+  const missing = missingTpiNotes(po);
+  const tpiLines = items.filter((r) => String(r.tpi ?? "").trim());
+
+  // object URLs hold the file in memory until revoked
+  useEffect(() => () => preview && URL.revokeObjectURL(preview.url), [preview]);
+
+  const upload = async (files) => {
+    if (!files.length) return;
+    setBusy(true);
+    try {
+      await onAdd([...files], type, lineId || null);
+    } catch (e) {
+      alert("Could not store the file: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const load = async (a) => {
+    const blob = await getFile(a.id);
+    if (!blob) alert(`"${a.name}" is no longer stored in this browser.`);
+    return blob;
+  };
+
+  const show = async (a) => {
+    const blob = await load(a);
+    if (blob) setPreview({ name: a.name, mime: a.mime, url: URL.createObjectURL(blob) });
+  };
+
+  const download = async (a) => {
+    const blob = await load(a);
+    if (blob) downloadBlob(blob, a.name);
+  };
+
+  return (
+    <>
+      <section className="po-card">
+        <div className="po-card__header">
+          <h3 className="po-title">TPI Release Checklist</h3>
+        </div>
+        {!tpiLines.length && <p className="po-note">No line carries a TPI agency.</p>}
+        {tpiLines.length > 0 && (
+          <ul className="po-history">
+            {tpiLines.map((r) => (
+              <li key={r.id}>
+                {missing.includes(r.id) ? (
+                  <b className="po-error-text">✗ {lineLabel(items, r.id)} — {r.tpi}: no TPI release note, can't ship</b>
+                ) : (
+                  <span>✓ {lineLabel(items, r.id)} — {r.tpi}: TPI release note attached</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="po-card">
+        <div className="po-card__header">
+          <h3 className="po-title">Documents ({attachments.length})</h3>
+        </div>
+        <div className="po-grid">
+          <label className="po-label">Document type</label>
+          <select className="po-select" value={type} onChange={(e) => setType(e.target.value)}>
+            {Object.entries(ATTACHMENT_TYPES).map(([k, label]) => (
+              <option key={k} value={k}>{label}</option>
+            ))}
+          </select>
+          <label className="po-label">Linked to</label>
+          <select className="po-select" value={lineId} onChange={(e) => setLineId(e.target.value)}>
+            <option value="">Whole PO</option>
+            {items.map((r) => (
+              <option key={r.id} value={r.id}>{lineLabel(items, r.id)}</option>
+            ))}
+          </select>
+          <label className="po-label">Files</label>
+          <input
+            type="file"
+            multiple
+            disabled={busy || !canEdit}
+            onChange={(e) => {
+              upload(e.target.files);
+              e.target.value = "";
+            }}
+          />
+        </div>
+        <p className="po-note">Files stay in this browser (IndexedDB); JSON exports carry only their names.</p>
+
+        {attachments.length > 0 && (
+          <div className="po-table-wrap">
+            <table className="po-table">
+              <thead>
+                <tr>
+                  <th>File</th>
+                  <th>Type</th>
+                  <th>Linked to</th>
+                  <th>Size</th>
+                  <th>Added</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {attachments.map((a) => (
+                  <tr key={a.id}>
+                    <td data-label="File" className="col-wide">{a.name}</td>
+                    <td data-label="Type">
+                      <select
+                        className="po-select po-select--compact"
+                        value={a.type}
+                        disabled={!canEdit}
+                        onChange={(e) => onRetag(a.id, e.target.value)}
+                      >
+                        {Object.entries(ATTACHMENT_TYPES).map(([k, label]) => (
+                          <option key={k} value={k}>{label}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td data-label="Linked to">{lineLabel(items, a.lineId)}</td>
+                    <td data-label="Size" className="nowrap">{sizeLabel(a.size)}</td>
+                    <td data-label="Added" className="nowrap">{a.addedAt.slice(0, 10)}</td>
+                    <td className="nowrap">
+                      {canPreview(a.mime) && (
+                        <button className="po-btn ghost" onClick={() => show(a).catch((e) => alert(e.message))}>
+                          Preview
+                        </button>
+                      )}
+                      <button className="po-btn ghost" onClick={() => download(a).catch((e) => alert(e.message))}>
+                        Download
+                      </button>
+                      <button className="po-btn danger ghost" onClick={() => onRemove(a.id)} disabled={!canEdit}>
+                        ✕
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+
+      {preview && (
+        <section className="po-card">
+          <div className="po-card__header">
+            <h3 className="po-title">{preview.name}</h3>
+            <button className="po-btn ghost" onClick={() => setPreview(null)}>Close</button>
+          </div>
+          {preview.mime === "application/pdf" ? (
+            <iframe className="po-preview" src={preview.url} title={preview.name} />
+          ) : (
+            <img className="po-preview" src={preview.url} alt={preview.name} />
+          )}
+        </section>
+      )}
+    </>
+  );
+}
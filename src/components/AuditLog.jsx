@@ -0,0 +1,94 @@
+import { useMemo, useState } from "react";
+import { getUserName, setUserName } from "../lib/audit";
+import { downloadBlob, fileSlug } from "../lib/download";
+import { toCSV } from "../lib/reports";
+
+const fmtWhen = (iso) => new Date(iso).toLocaleTimeString();
+const dayOf = (iso) => new Date(iso).toLocaleDateString();
+
+/* ---------- Component ---------- */
+// Timeline of field changes for the open PO, newest first
+export default function AuditLog({ po, signedIn }) {
+  const [user, setUser] = useState(getUserName);
+  const [query, setQuery] = useState("");
+  const log = useMemo(() => po.auditLog || [], [po.auditLog]);
+
+  const days = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const hits = [...log]
+      .reverse()
+      .filter((e) => !q || [e.field, e.from, e.to, e.user].some((v) => String(v).toLowerCase().includes(q)));
+    const out = [];
+    hits.forEach((e) => {
+      const day = dayOf(e.at);
+      if (out[out.length - 1]?.day !== day) out.push({ day, entries: [] });
+      out[out.length - 1].entries.push(e);
+    });
+    return out;
+  }, [log, query]);
+
+  const exportLog = (kind) => {
+    const name = `purchase-order-${fileSlug(po.header.poNumber)}-audit`;
+    if (kind === "json") {
+      downloadBlob(new Blob([JSON.stringify(log, null, 2)], { type: "application/json" }), `${name}.json`);
+      return;
+    }
+    const rows = [
+      ["When", "User", "Field", "From", "To", "Via"],
+      ...log.map((e) => [e.at, e.user, e.field, e.from, e.to, e.via]),
+    ];
+    downloadBlob(new Blob(["\uFEFF" + toCSV(rows)], { type: "text/csv;charset=utf-8" }), `${name}.csv`);
+  };
+
+  return (
+    <section className="po-card">
+      <div className="po-card__header">
+        <h3 className="po-title">Audit Trail — PO {po.header.poNumber} ({log.length} change(s))</h3>
+        <div className="po-actions">
+          <button className="po-btn" onClick={() => exportLog("csv")} disabled={!log.length}>Export CSV</button>
+          <button className="po-btn" onClick={() => exportLog("json")} disabled={!log.length}>Export JSON</button>
+        </div>
+      </div>
+
+      <div className="po-grid">
+        <label className="po-label">Your name (recorded on changes)</label>
+        {signedIn ? (
+          <span title="Users are picked at the top of the page">{signedIn}</span>
+        ) : (
+          <input
+            className="po-input"
+            value={user}
+            onChange={(e) => setUser(e.target.value)}
+            onBlur={() => setUserName(user)}
+            placeholder="e.g., A. Rahman (Contracts)"
+          />
+        )}
+        <label className="po-label">Filter</label>
+        <input
+          className="po-input"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Field, value or user"
+        />
+      </div>
+
+      {!days.length && <p className="po-note">No changes recorded yet.</p>}
+      {days.map(({ day, entries }) => (
+        <div key={day} className="po-timeline">
+          <div className="po-doc__caption">{day}</div>
+          <ul>
+            {entries.map((e, i) => (
+              <li key={i}>
+                <span className="po-muted">{fmtWhen(e.at)} · {e.user}</span>
+                {e.via !== "edit" && <span className="po-tag">{e.via}</span>}
+                <div>
+                  <b>{e.field}</b>: <s className="po-muted">{e.from || "—"}</s> → {e.to || "—"}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </section>
+  );
+}
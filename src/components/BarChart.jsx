@@ -0,0 +1,40 @@
+const WIDTH = 720;
+const LABEL_W = 220;
+const VALUE_W = 130;
+const ROW_H = 28;
+const FONT = "system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial";
+
+const clip = (s, n = 32) => (s.length > n ? `${s.slice(0, n - 1)}…` : s);
+
+/* ---------- Component ---------- */
+// horizontal bars, one per row: [{ label, value, color?, note? }]; drawn with SVG attributes only
+// (no CSS classes), so the chart looks the same when saved as an image
+export default function BarChart({ rows, format = String, color = "#2563eb" }) {
+  if (!rows.length) return <p className="po-note">Nothing to show for this selection.</p>;
+  const max = Math.max(...rows.map((r) => r.value), 0) || 1;
+  const barW = WIDTH - LABEL_W - VALUE_W;
+  const height = rows.length * ROW_H + 8;
+
+  return (
+    <svg xmlns="http://www.w3.org/2000/svg" viewBox={`0 0 ${WIDTH} ${height}`} width="100%" role="img">
+      <rect width={WIDTH} height={height} fill="#fff" />
+      {rows.map((r, i) => {
+        const y = i * ROW_H + 4;
+        const w = Math.max((r.value / max) * barW, r.value > 0 ? 2 : 0);
+        return (
+          <g key={i} fontFamily={FONT} fontSize="12">
+            <title>{`${r.label}: ${format(r.value)}${r.note ? ` (${r.note})` : ""}`}</title>
+            <text x={LABEL_W - 8} y={y + ROW_H / 2} textAnchor="end" dominantBaseline="middle" fill="#0f172a">
+              {clip(r.label)}
+            </text>
+            <rect x={LABEL_W} y={y + 4} width={w} height={ROW_H - 10} rx="4" fill={r.color || color} />
+            <text x={LABEL_W + w + 6} y={y + ROW_H / 2} dominantBaseline="middle" fill="#64748b">
+              {format(r.value)}
+              {r.note ? ` · ${r.note}` : ""}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
@@ -0,0 +1,31 @@
+import { useState } from "react";
+import { ITEM_FIELDS } from "../lib/po";
+
+/* ---------- Component ---------- */
+// Actions for the checked item rows
+export default function BulkBar({ count, onDuplicate, onDelete, onEdit, onClear }) {
+  const [field, setField] = useState("tpi");
+  const [value, setValue] = useState("");
+
+  return (
+    <div className="po-filters po-bulkbar">
+      <b>{count} selected</b>
+      <button className="po-btn" onClick={onDuplicate}>Duplicate</button>
+      <button className="po-btn danger" onClick={onDelete}>Delete</button>
+      <span className="po-muted">Set</span>
+      <select className="po-select po-select--compact" value={field} onChange={(e) => setField(e.target.value)}>
+        {ITEM_FIELDS.map((f) => (
+          <option key={f.key} value={f.key}>{f.label}</option>
+        ))}
+      </select>
+      <input
+        className="po-input"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder="value"
+      />
+      <button className="po-btn" onClick={() => onEdit(field, value)}>Apply to {count}</button>
+      <button className="po-btn ghost" onClick={onClear}>Clear selection</button>
+    </div>
+  );
+}
@@ -0,0 +1,6 @@
+/* ---------- Component ---------- */
+// Flag under an item input that differs from its catalog entry; renders nothing when they agree
+export default function CatalogMismatch({ value }) {
+  if (!value) return null;
+  return <span className="po-warn" title="Value in the item catalog">Catalog: {value}</span>;
+}
@@ -0,0 +1,17 @@
+/* ---------- Component ---------- */
+// under a locked price / QTY input: the request waiting for approval, or the button that makes one;
+// `label` tells apart two of them under one field
+export default function ChangeRequest({ pending, onRequest, label }) {
+  if (pending) {
+    return (
+      <span className="po-hint" title={`Requested by ${pending.requestedBy}: ${pending.reason}`}>
+        {label && `${label} `}→ {pending.to} awaiting approval
+      </span>
+    );
+  }
+  return (
+    <button type="button" className="po-link" onClick={onRequest} title="Ask for this value to be changed">
+      ✎ Request {label ? `${label} ` : ""}change
+    </button>
+  );
+}
@@ -0,0 +1,30 @@
+import { useRef } from "react";
+import { downloadBlob, downloadSVGAsPNG } from "../lib/download";
+import { toCSV } from "../lib/reports";
+
+/* ---------- Component ---------- */
+// a dashboard chart with its own PNG / CSV download; `name` is the file name without extension
+export default function ChartCard({ title, name, csvRows, children }) {
+  const box = useRef(null);
+  const svg = () => box.current?.querySelector("svg");
+
+  const savePNG = () => {
+    if (!svg()) return alert("There is no chart to save for this selection.");
+    downloadSVGAsPNG(svg(), `${name}.png`).catch((e) => alert(e.message));
+  };
+  const saveCSV = () =>
+    downloadBlob(new Blob(["\uFEFF" + toCSV(csvRows)], { type: "text/csv;charset=utf-8" }), `${name}.csv`);
+
+  return (
+    <section className="po-card">
+      <div className="po-card__header">
+        <h3 className="po-title">{title}</h3>
+        <div className="po-actions">
+          <button className="po-btn ghost" onClick={savePNG}>PNG</button>
+          <button className="po-btn ghost" onClick={saveCSV}>CSV</button>
+        </div>
+      </div>
+      <div ref={box} className="po-chart">{children}</div>
+    </section>
+  );
+}
@@ -0,0 +1,63 @@
+const HEIGHT = 260;
+const PAD = { top: 28, right: 12, bottom: 40, left: 80 };
+const FONT = "system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial";
+const TICKS = 4;
+
+/* ---------- Component ---------- */
+// grouped columns per period: rows [{ label, values: [n, …] }] against series [{ name, color }];
+// SVG attributes only, like BarChart, so it saves as an image unchanged
+export default function ColumnChart({ rows, series, format = String }) {
+  if (!rows.length) return <p className="po-note">Nothing to show for this selection.</p>;
+  const width = Math.max(720, PAD.left + PAD.right + rows.length * series.length * 22);
+  const plotW = width - PAD.left - PAD.right;
+  const plotH = HEIGHT - PAD.top - PAD.bottom;
+  const max = Math.max(...rows.flatMap((r) => r.values), 0) || 1;
+  const groupW = plotW / rows.length;
+  const colW = Math.min(28, (groupW - 8) / series.length);
+  const yOf = (v) => PAD.top + plotH - (v / max) * plotH;
+
+  return (
+    <svg xmlns="http://www.w3.org/2000/svg" viewBox={`0 0 ${width} ${HEIGHT}`} width="100%" role="img">
+      <rect width={width} height={HEIGHT} fill="#fff" />
+      <g fontFamily={FONT} fontSize="11" fill="#64748b">
+        {Array.from({ length: TICKS + 1 }, (_, i) => {
+          const v = (max / TICKS) * i;
+          return (
+            <g key={i}>
+              <line x1={PAD.left} x2={width - PAD.right} y1={yOf(v)} y2={yOf(v)} stroke="#eef2f7" />
+              <text x={PAD.left - 6} y={yOf(v)} textAnchor="end" dominantBaseline="middle">{format(v)}</text>
+            </g>
+          );
+        })}
+        {series.map((s, i) => (
+          <g key={s.name}>
+            <rect x={PAD.left + i * 130} y={6} width="12" height="12" rx="2" fill={s.color} />
+            <text x={PAD.left + i * 130 + 18} y={12} dominantBaseline="middle" fill="#0f172a">{s.name}</text>
+          </g>
+        ))}
+        {rows.map((r, i) => {
+          const x0 = PAD.left + i * groupW + (groupW - colW * series.length) / 2;
+          return (
+            <g key={r.label}>
+              {r.values.map((v, k) => (
+                <rect
+                  key={k}
+                  x={x0 + k * colW}
+                  y={yOf(v)}
+                  width={colW - 2}
+                  height={PAD.top + plotH - yOf(v)}
+                  fill={series[k].color}
+                >
+                  <title>{`${r.label} · ${series[k].name}: ${format(v)}`}</title>
+                </rect>
+              ))}
+              <text x={PAD.left + i * groupW + groupW / 2} y={HEIGHT - PAD.bottom + 16} textAnchor="middle">
+                {r.label}
+              </text>
+            </g>
+          );
+        })}
+      </g>
+    </svg>
+  );
+}
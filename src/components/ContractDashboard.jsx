@@ -0,0 +1,146 @@
+import { useMemo, useState } from "react";
+import { money } from "../lib/po";
+import { contractUsage } from "../lib/contracts";
+
+const CALL_OFF_ROWS = 15;
+
+const usageColor = (pct) => (pct === null ? "var(--muted)" : pct > 100 ? "var(--error)" : pct >= 90 ? "var(--warn)" : "var(--success)");
+
+/* ---------- Component ---------- */
+// Ceiling consumption per LTSA across every PO in the register
+export default function ContractDashboard({ master, pos }) {
+  const usage = useMemo(() => contractUsage(master, pos), [master, pos]);
+  const [openNumber, setOpenNumber] = useState(null);
+
+  return (
+    <>
+      <section className="po-card">
+        <div className="po-card__header">
+          <h3 className="po-title">LTSA Contracts — Ceiling Consumption</h3>
+        </div>
+        <div className="po-table-wrap">
+          <table className="po-table">
+            <thead>
+              <tr>
+                <th>LTSA</th>
+                <th>Beneficiary</th>
+                <th>POs</th>
+                <th>Ceiling</th>
+                <th>Committed</th>
+                <th>Invoiced</th>
+                <th>Remaining</th>
+                <th>Used</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {usage.map((u) => (
+                <tr key={u.number}>
+                  <td data-label="LTSA" className="nowrap bold">
+                    {u.number}
+                    {!u.contract && <span className="po-muted"> · not in master data</span>}
+                  </td>
+                  <td data-label="Beneficiary">{u.beneficiary}</td>
+                  <td data-label="POs">{u.pos.length}</td>
+                  <td data-label="Ceiling" className="nowrap">
+                    {u.ceiling ? `${money(u.ceiling, u.currency)} ${u.currency}` : "—"}
+                  </td>
+                  <td data-label="Committed" className="nowrap">{money(u.committed, u.currency)}</td>
+                  <td data-label="Invoiced" className="nowrap">{money(u.invoiced, u.currency)}</td>
+                  <td data-label="Remaining" className="nowrap" style={{ color: u.remaining < 0 ? "var(--error)" : undefined }}>
+                    {u.remaining === null ? "—" : money(u.remaining, u.currency)}
+                  </td>
+                  <td data-label="Used">
+                    <div className="po-meter" title={u.pctUsed === null ? "No ceiling set" : `${u.pctUsed.toFixed(1)}%`}>
+                      <span
+                        style={{ width: `${Math.min(u.pctUsed ?? 0, 100)}%`, background: usageColor(u.pctUsed) }}
+                      />
+                    </div>
+                    <span className="po-muted">{u.pctUsed === null ? "no ceiling" : `${u.pctUsed.toFixed(1)}%`}</span>
+                  </td>
+                  <td data-label="Action">
+                    <button
+                      className="po-btn ghost"
+                      onClick={() => setOpenNumber((n) => (n === u.number ? null : u.number))}
+                    >
+                      {openNumber === u.number ? "Hide" : "Call-offs"}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {!usage.length && (
+                <tr>
+                  <td colSpan="9" className="po-muted">No LTSA contracts yet.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {usage
+          .filter((u) => u.remaining !== null && u.remaining < 0)
+          .map((u) => (
+            <div key={u.number} className="po-alert" style={{ borderLeftColor: "var(--error)" }}>
+              <b className="po-error-text">
+                LTSA {u.number} is over its ceiling by {money(-u.remaining, u.currency)} {u.currency}.
+              </b>
+            </div>
+          ))}
+        {usage
+          .filter((u) => u.unconverted.length)
+          .map((u) => (
+            <div key={u.number} className="po-alert" style={{ borderLeftColor: "var(--warn)" }}>
+              <span style={{ color: "var(--warn)" }}>
+                ⚠ LTSA {u.number}: PO {u.unconverted.join(", ")} not counted — no {u.currency} total
+                (set its reporting currency and exchange rate).
+              </span>
+            </div>
+          ))}
+      </section>
+
+      {usage
+        .filter((u) => u.number === openNumber)
+        .map((u) => (
+          <section key={u.number} className="po-card">
+            <div className="po-card__header">
+              <h3 className="po-title">LTSA {u.number} — Item Call-offs</h3>
+            </div>
+            <div className="po-table-wrap">
+              <table className="po-table">
+                <thead>
+                  <tr>
+                    <th>MAXIMO NO.</th>
+                    <th>Item</th>
+                    <th>Description</th>
+                    <th>UNIT CODE</th>
+                    <th>Called-off QTY</th>
+                    <th>POs</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {u.callOffs.slice(0, CALL_OFF_ROWS).map((c) => (
+                    <tr key={c.key}>
+                      <td data-label="MAXIMO NO.">{c.maximoNo}</td>
+                      <td data-label="Item">{c.item}</td>
+                      <td data-label="Description" className="col-wide">{c.description}</td>
+                      <td data-label="UNIT CODE">{c.unitCode}</td>
+                      <td data-label="Called-off QTY" className="nowrap bold">{c.qty}</td>
+                      <td data-label="POs">{c.poNumbers.join(", ")}</td>
+                    </tr>
+                  ))}
+                  {!u.callOffs.length && (
+                    <tr>
+                      <td colSpan="6" className="po-muted">No item lines on this LTSA yet.</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+            {u.callOffs.length > CALL_OFF_ROWS && (
+              <p className="po-note">…and {u.callOffs.length - CALL_OFF_ROWS} more item(s).</p>
+            )}
+          </section>
+        ))}
+    </>
+  );
+}
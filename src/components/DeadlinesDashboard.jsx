@@ -0,0 +1,145 @@
+import { useMemo, useState } from "react";
+import { STATUS_STEPS, statusColor } from "../lib/po";
+import { LEVELS, deadlineRows, notifyDeadlines, toICS } from "../lib/deadlines";
+import { downloadBlob } from "../lib/download";
+
+const daysText = (d) => (isNaN(d) ? "—" : d < 0 ? `${-d} day(s) late` : `${d} day(s)`);
+
+/* ---------- Component ---------- */
+// Franco / Required-on-Site and per-line promised/required deadlines across the register
+export default function DeadlinesDashboard({ pos, thresholds, onThresholds, onOpen }) {
+  const [status, setStatus] = useState("");
+  const [beneficiary, setBeneficiary] = useState("");
+  const [hideDone, setHideDone] = useState(true);
+  const [permission, setPermission] = useState(
+    typeof Notification === "undefined" ? "unsupported" : Notification.permission
+  );
+
+  const active = useMemo(() => pos.filter((p) => !p.archived), [pos]);
+  const beneficiaries = [...new Set(active.map((p) => p.header.beneficiaryName).filter(Boolean))];
+
+  const rows = useMemo(
+    () =>
+      deadlineRows(active, thresholds)
+        .filter((r) => !status || r.po.header.status === status)
+        .filter((r) => !beneficiary || r.po.header.beneficiaryName === beneficiary)
+        .filter((r) => !hideDone || r.level !== "done")
+        .sort((a, b) => (isNaN(a.days) ? 1 : isNaN(b.days) ? -1 : a.days - b.days)),
+    [active, thresholds, status, beneficiary, hideDone]
+  );
+
+  const enableNotifications = async () => {
+    const p = await Notification.requestPermission();
+    setPermission(p);
+    if (p === "granted") notifyDeadlines(deadlineRows(active, thresholds));
+  };
+
+  const exportICS = () =>
+    downloadBlob(new Blob([toICS(rows)], { type: "text/calendar" }), "po-deadlines.ics");
+
+  const setThreshold = (k, v) => onThresholds({ ...thresholds, [k]: Math.max(0, parseInt(v, 10) || 0) });
+
+  return (
+    <section className="po-card">
+      <div className="po-card__header">
+        <h3 className="po-title">Deadlines ({rows.length})</h3>
+        <div className="po-actions">
+          {permission !== "unsupported" && (
+            <button className="po-btn" onClick={enableNotifications} disabled={permission === "denied"}>
+              {permission === "granted" ? "Notifications on ✓" : "Enable notifications"}
+            </button>
+          )}
+          <button className="po-btn" onClick={exportICS} disabled={!rows.length}>Export .ics</button>
+        </div>
+      </div>
+
+      <div className="po-filters">
+        <label className="po-check">
+          Status
+          <select className="po-select" value={status} onChange={(e) => setStatus(e.target.value)}>
+            <option value="">All</option>
+            {STATUS_STEPS.map((s) => <option key={s} value={s}>{s}</option>)}
+          </select>
+        </label>
+        <label className="po-check">
+          Beneficiary
+          <select className="po-select" value={beneficiary} onChange={(e) => setBeneficiary(e.target.value)}>
+            <option value="">All</option>
+            {beneficiaries.map((b) => <option key={b} value={b}>{b}</option>)}
+          </select>
+        </label>
+        <label className="po-check">
+          Approaching ≤
+          <input
+            className="po-input po-input--num"
+            type="number"
+            min="0"
+            value={thresholds.warnDays}
+            onChange={(e) => setThreshold("warnDays", e.target.value)}
+          />
+          days
+        </label>
+        <label className="po-check">
+          Urgent ≤
+          <input
+            className="po-input po-input--num"
+            type="number"
+            min="0"
+            value={thresholds.urgentDays}
+            onChange={(e) => setThreshold("urgentDays", e.target.value)}
+          />
+          days
+        </label>
+        <label className="po-check">
+          <input type="checkbox" checked={hideDone} onChange={(e) => setHideDone(e.target.checked)} />
+          Hide delivered
+        </label>
+      </div>
+
+      <div className="po-table-wrap">
+        <table className="po-table">
+          <thead>
+            <tr>
+              <th>PO Number</th>
+              <th>Beneficiary</th>
+              <th>Status</th>
+              <th>Deadline</th>
+              <th>Date</th>
+              <th>Days Left</th>
+              <th>Action</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.key}>
+                <td data-label="PO Number" className="nowrap bold">{r.po.header.poNumber}</td>
+                <td data-label="Beneficiary">{r.po.header.beneficiaryName}</td>
+                <td data-label="Status">
+                  <span className="po-badge" style={{ background: statusColor(r.po.header.status) }}>
+                    {r.po.header.status}
+                  </span>
+                </td>
+                <td data-label="Deadline">{r.kind}</td>
+                <td data-label="Date" className="nowrap">{r.date || "—"}</td>
+                <td data-label="Days Left" className="nowrap">
+                  <span className="po-chip" style={{ background: LEVELS[r.level].color }}>
+                    {LEVELS[r.level].label}
+                  </span>{" "}
+                  {daysText(r.days)}
+                </td>
+                <td data-label="Action">
+                  <button className="po-btn ghost" onClick={() => onOpen(r.po.id)}>Open</button>
+                </td>
+              </tr>
+            ))}
+            {!rows.length && (
+              <tr>
+                <td colSpan="7" className="po-muted">No deadlines match the filters.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
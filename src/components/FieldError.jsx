@@ -0,0 +1,6 @@
+/* ---------- Component ---------- */
+// Inline validation message under an input; renders nothing when the field is clean
+export default function FieldError({ msg }) {
+  if (!msg) return null;
+  return <span className="po-error">{msg}</span>;
+}
@@ -0,0 +1,271 @@
+import { Fragment, useState } from "react";
+import { INVOICE_STATES, PAYMENT_TERMS_DAYS, addDays, invoiceAmountsOf, invoiceStateOf } from "../lib/invoices";
+import { lineAmountsOf, money, parseNum } from "../lib/po";
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptyDraft = () => ({ date: today(), dueDate: addDays(today(), PAYMENT_TERMS_DAYS), notes: "", qty: {} });
+
+/* ---------- Component ---------- */
+// Issue numbered invoices from the remaining balances and record payments against them;
+// without `canEdit` the invoices can only be looked at and printed
+export default function InvoicePanel({
+  po,
+  remainingByRow,
+  canEdit,
+  nextNumber,
+  onIssue,
+  onDelete,
+  onAddPayment,
+  onUpdatePayment,
+  onRemovePayment,
+  onPrint,
+}) {
+  const { header, items } = po;
+  const invoices = po.invoices || [];
+  const cur = header.currency;
+  const [draft, setDraft] = useState(null);
+  const [openId, setOpenId] = useState(null);
+
+  const startDraft = () => {
+    // every open balance is proposed in full; trim or zero lines before issuing
+    const qty = {};
+    remainingByRow.forEach((rem, i) => { if (rem > 0) qty[items[i].id] = String(rem); });
+    setDraft({ ...emptyDraft(), qty });
+  };
+
+  const setDraftQty = (i, v) => {
+    const n = Math.min(Math.max(parseNum(v), 0), remainingByRow[i]);
+    setDraft((d) => ({ ...d, qty: { ...d.qty, [items[i].id]: parseNum(v) !== n ? String(n) : v } }));
+  };
+
+  const draftLines = draft
+    ? items
+        .map((r) => ({ lineId: r.id, qty: draft.qty[r.id] ?? "", unitPrice: r.unitPrice, discountPct: r.discountPct }))
+        .filter((l) => parseNum(l.qty) > 0)
+    : [];
+  const draftNet = draftLines.reduce((a, l) => a + lineAmountsOf(l).net, 0);
+
+  const issue = () => {
+    if (!draftLines.length) return alert("Enter a quantity on at least one line.");
+    if (!draft.date) return alert("Invoice date is required.");
+    onIssue({ date: draft.date, dueDate: draft.dueDate, notes: draft.notes.trim(), lines: draftLines });
+    setDraft(null);
+  };
+
+  return (
+    <section className="po-card">
+      <div className="po-card__header">
+        <h3 className="po-title">Invoices ({invoices.length})</h3>
+        <div className="po-actions">
+          {!draft && canEdit && (
+            <button
+              className="po-btn"
+              onClick={startDraft}
+              disabled={!remainingByRow.some((rem) => rem > 0)}
+              title="Bills quantities still remaining on the PO"
+            >
+              ＋ New Invoice
+            </button>
+          )}
+        </div>
+      </div>
+
+      {draft && (
+        <div className="po-tx">
+          <div className="po-grid">
+            <label className="po-label">Invoice No.</label>
+            <span className="bold">{nextNumber(draft.date)}</span>
+            <label className="po-label">Invoice Date</label>
+            <input
+              className="po-input"
+              type="date"
+              value={draft.date}
+              onChange={(e) =>
+                setDraft((d) => ({ ...d, date: e.target.value, dueDate: addDays(e.target.value, PAYMENT_TERMS_DAYS) }))
+              }
+            />
+            <label className="po-label">Due Date</label>
+            <input
+              className="po-input"
+              type="date"
+              value={draft.dueDate}
+              onChange={(e) => setDraft((d) => ({ ...d, dueDate: e.target.value }))}
+            />
+            <label className="po-label">Notes</label>
+            <input
+              className="po-input"
+              value={draft.notes}
+              onChange={(e) => setDraft((d) => ({ ...d, notes: e.target.value }))}
+            />
+          </div>
+          <table className="po-tx-table">
+            <thead>
+              <tr>
+                <th>Line</th>
+                <th>Item</th>
+                <th>Remaining</th>
+                <th>Invoice QTY</th>
+                <th>Amount ({cur})</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((r, i) =>
+                remainingByRow[i] > 0 ? (
+                  <tr key={r.id}>
+                    <td>{r.lineNo}</td>
+                    <td>{r.item}</td>
+                    <td>{remainingByRow[i]}</td>
+                    <td width="110">
+                      <input
+                        className="po-input"
+                        value={draft.qty[r.id] ?? ""}
+                        onChange={(e) => setDraftQty(i, e.target.value)}
+                      />
+                    </td>
+                    <td className="nowrap">
+                      {money(lineAmountsOf({ ...r, qty: draft.qty[r.id] ?? "" }).net, cur)}
+                    </td>
+                  </tr>
+                ) : null
+              )}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td className="right bold" colSpan="4">Net (excl. VAT)</td>
+                <td className="bold nowrap">{money(draftNet, cur)}</td>
+              </tr>
+            </tfoot>
+          </table>
+          <div className="po-actions">
+            <button className="po-btn" onClick={issue}>Issue Invoice</button>
+            <button className="po-btn ghost" onClick={() => setDraft(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {!invoices.length && !draft && <p className="po-note">No invoices issued for this PO yet.</p>}
+      {invoices.length > 0 && (
+        <div className="po-table-wrap">
+          <table className="po-table">
+            <thead>
+              <tr>
+                <th>Invoice No.</th>
+                <th>Date</th>
+                <th>Due</th>
+                <th>Total ({cur})</th>
+                <th>Paid</th>
+                <th>Balance</th>
+                <th>State</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {invoices.map((inv) => {
+                const a = invoiceAmountsOf(inv);
+                const st = INVOICE_STATES[invoiceStateOf(inv)];
+                return (
+                  <Fragment key={inv.id}>
+                    <tr>
+                      <td data-label="Invoice No." className="bold nowrap">{inv.number}</td>
+                      <td data-label="Date" className="nowrap">{inv.date}</td>
+                      <td data-label="Due" className="nowrap">{inv.dueDate || "—"}</td>
+                      <td data-label="Total" className="nowrap">{money(a.total, inv.currency)}</td>
+                      <td data-label="Paid" className="nowrap">{money(a.paid, inv.currency)}</td>
+                      <td data-label="Balance" className="nowrap">{money(a.balance, inv.currency)}</td>
+                      <td data-label="State">
+                        <span className="po-chip" style={{ background: st.color }}>{st.label}</span>
+                      </td>
+                      <td className="nowrap">
+                        <button className="po-btn ghost" onClick={() => setOpenId(openId === inv.id ? null : inv.id)}>
+                          Payments ({inv.payments.length})
+                        </button>
+                        <button className="po-btn outline" onClick={() => onPrint(inv.id)}>Print</button>
+                        <button
+                          className="po-btn danger ghost"
+                          onClick={() => onDelete(inv.id)}
+                          disabled={!canEdit || inv.payments.length > 0}
+                          title={inv.payments.length ? "Remove its payments first" : "Delete and release its quantities"}
+                        >
+                          ✕
+                        </button>
+                      </td>
+                    </tr>
+                    {openId === inv.id && (
+                      <tr>
+                        <td colSpan="8">
+                          <div className="po-tx">
+                            {inv.payments.length > 0 && (
+                              <table className="po-tx-table">
+                                <thead>
+                                  <tr>
+                                    <th>Date</th>
+                                    <th>Amount ({inv.currency})</th>
+                                    <th>Reference</th>
+                                    <th />
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {inv.payments.map((p) => (
+                                    <tr key={p.id}>
+                                      <td>
+                                        <input
+                                          className="po-input"
+                                          type="date"
+                                          value={p.date}
+                                          readOnly={!canEdit}
+                                          onChange={(e) => onUpdatePayment(inv.id, p.id, "date", e.target.value)}
+                                        />
+                                      </td>
+                                      <td width="140">
+                                        <input
+                                          className="po-input"
+                                          value={p.amount}
+                                          readOnly={!canEdit}
+                                          onChange={(e) => onUpdatePayment(inv.id, p.id, "amount", e.target.value)}
+                                        />
+                                      </td>
+                                      <td>
+                                        <input
+                                          className="po-input"
+                                          value={p.ref}
+                                          readOnly={!canEdit}
+                                          onChange={(e) => onUpdatePayment(inv.id, p.id, "ref", e.target.value)}
+                                          placeholder="e.g., bank transfer ref."
+                                        />
+                                      </td>
+                                      <td>
+                                        <button
+                                          className="po-btn danger ghost"
+                                          onClick={() => onRemovePayment(inv.id, p.id)}
+                                          disabled={!canEdit}
+                                        >
+                                          ✕
+                                        </button>
+                                      </td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            )}
+                            <button
+                              className="po-btn ghost"
+                              onClick={() => onAddPayment(inv.id)}
+                              disabled={!canEdit || invoiceStateOf(inv) === "paid"}
+                            >
+                              + Add Payment
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,179 @@
+import { Fragment, useState } from "react";
+import ItemImport from "./ItemImport";
+import { CATALOG_FIELDS, catalogKey, entryFromItem, mergeCatalog, quoteLabel } from "../lib/catalog";
+import { ITEM_FIELDS } from "../lib/po";
+
+const MAX_SHOWN = 200;
+
+const labelOf = (key) => ITEM_FIELDS.find((f) => f.key === key)?.label || key;
+
+/* ---------- Component ---------- */
+// MAXIMO items shared by all POs: what a line fills in from, and its quoted prices across the register;
+// without `canEdit` it can be searched but not changed
+export default function ItemCatalog({ catalog, history, canEdit, onChange, onHarvest }) {
+  const [query, setQuery] = useState("");
+  const [newNo, setNewNo] = useState("");
+  const [openKey, setOpenKey] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+
+  const q = query.trim().toLowerCase();
+  const rows = Object.entries(catalog)
+    .filter(([, e]) => !q || ["maximoNo", ...CATALOG_FIELDS].some((k) => String(e[k] ?? "").toLowerCase().includes(q)))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const patch = (key, k, v) => onChange((c) => ({ ...c, [key]: { ...c[key], [k]: v } }));
+
+  const add = () => {
+    const key = catalogKey(newNo);
+    if (!key) return;
+    if (catalog[key]) return alert(`MAXIMO NO. ${newNo.trim()} is already in the catalog.`);
+    onChange((c) => ({ ...c, [key]: entryFromItem({ maximoNo: newNo }) }));
+    setQuery(newNo.trim());
+    setNewNo("");
+  };
+
+  const remove = (key) => {
+    if (!confirm(`Remove MAXIMO NO. ${catalog[key].maximoNo} from the catalog? POs keep their lines.`)) return;
+    onChange((c) => {
+      const { [key]: _, ...rest } = c;
+      return rest;
+    });
+  };
+
+  const importRows = (items) => {
+    onChange((c) => mergeCatalog(c, items));
+    setShowImport(false);
+  };
+
+  return (
+    <>
+      {showImport && (
+        <ItemImport
+          title="Import Catalog from CSV / Excel"
+          withModes={false}
+          onImport={importRows}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
+      <section className="po-card">
+        <div className="po-card__header">
+          <h3 className="po-title">Item Catalog ({Object.keys(catalog).length})</h3>
+          <div className="po-actions">
+            <input
+              className="po-input"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search MAXIMO NO., item, description…"
+            />
+            {canEdit && (
+              <>
+                <button className="po-btn ghost" onClick={onHarvest} title="Adds MAXIMO numbers used on saved POs">
+                  Add from POs
+                </button>
+                <button className="po-btn" onClick={() => setShowImport(true)}>Import CSV / Excel</button>
+              </>
+            )}
+          </div>
+        </div>
+        {canEdit && (
+          <div className="po-actions">
+            <input
+              className="po-input"
+              value={newNo}
+              onChange={(e) => setNewNo(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && add()}
+              placeholder="New MAXIMO NO."
+            />
+            <button className="po-btn" onClick={add} disabled={!newNo.trim()}>+ Add Entry</button>
+          </div>
+        )}
+        <p className="po-note">
+          Picking a MAXIMO NO. or item code on a PO line fills its blank fields from here; lines whose{" "}
+          description or grade differ from the entry are flagged.
+        </p>
+
+        {!rows.length && <p className="po-note">{q ? "No entry matches the search." : "The catalog is empty."}</p>}
+        {rows.length > 0 && (
+          <div className="po-table-wrap">
+            <table className="po-table">
+              <thead>
+                <tr>
+                  <th>MAXIMO NO.</th>
+                  {CATALOG_FIELDS.map((k) => <th key={k}>{labelOf(k)}</th>)}
+                  <th>Last Price</th>
+                  <th>Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.slice(0, MAX_SHOWN).map(([key, e]) => {
+                  const quotes = history.get(key) || [];
+                  return (
+                    <Fragment key={key}>
+                      <tr>
+                        <td data-label="MAXIMO NO." className="bold nowrap">{e.maximoNo}</td>
+                        {CATALOG_FIELDS.map((k) => (
+                          <td key={k} data-label={labelOf(k)} className={k === "description" ? "col-wide" : ""}>
+                            <input
+                              className="po-input"
+                              value={e[k] ?? ""}
+                              readOnly={!canEdit}
+                              onChange={(ev) => patch(key, k, ev.target.value)}
+                            />
+                          </td>
+                        ))}
+                        <td data-label="Last Price" className="nowrap">
+                          {quotes.length ? (
+                            <button className="po-btn ghost" onClick={() => setOpenKey(openKey === key ? null : key)}>
+                              {quoteLabel(quotes[0])} ({quotes.length})
+                            </button>
+                          ) : (
+                            <span className="po-muted">—</span>
+                          )}
+                        </td>
+                        <td data-label="Action">
+                          <button className="po-btn danger ghost" onClick={() => remove(key)} disabled={!canEdit}>
+                            ✕
+                          </button>
+                        </td>
+                      </tr>
+                      {openKey === key && (
+                        <tr>
+                          <td colSpan={CATALOG_FIELDS.length + 3}>
+                            <table className="po-tx-table">
+                              <thead>
+                                <tr>
+                                  <th>PO</th>
+                                  <th>Date of Issue</th>
+                                  <th>Line</th>
+                                  <th>Unit Price</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {quotes.map((p, i) => (
+                                  <tr key={i}>
+                                    <td>{p.poNumber}</td>
+                                    <td>{p.date || "—"}</td>
+                                    <td>{p.lineNo}</td>
+                                    <td>{quoteLabel(p)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </td>
+                        </tr>
+                      )}
+                    </Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {rows.length > MAX_SHOWN && (
+          <p className="po-note">Showing {MAX_SHOWN} of {rows.length} entries; narrow the search to see the rest.</p>
+        )}
+      </section>
+    </>
+  );
+}
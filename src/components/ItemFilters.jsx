@@ -0,0 +1,45 @@
+import { DEFAULT_VIEW, FILTER_FIELDS, distinctValues, isFiltered } from "../lib/itemView";
+
+/* ---------- Component ---------- */
+// Search box and column filters above an items table; `shown` of `total` rows match
+export default function ItemFilters({ items, view, onChange, shown, total }) {
+  return (
+    <div className="po-filters">
+      <input
+        className="po-input"
+        value={view.query}
+        onChange={(e) => onChange({ query: e.target.value })}
+        placeholder="Search MAXIMO NO., item or description"
+      />
+      {FILTER_FIELDS.map((f) => (
+        <select
+          key={f.key}
+          className="po-select po-select--compact"
+          value={view[f.key]}
+          onChange={(e) => onChange({ [f.key]: e.target.value })}
+          title={f.label}
+        >
+          <option value="">All {f.label}</option>
+          {distinctValues(items, f.key).map((v) => (
+            <option key={v} value={v}>{v}</option>
+          ))}
+        </select>
+      ))}
+      <label className="po-check">
+        <input type="checkbox" checked={view.openOnly} onChange={(e) => onChange({ openOnly: e.target.checked })} />
+        Remaining &gt; 0
+      </label>
+      <span className="po-muted">
+        {shown === total ? `${total} line(s)` : `${shown} of ${total} line(s)`}
+      </span>
+      {isFiltered(view) && (
+        <button
+          className="po-btn ghost"
+          onClick={() => onChange({ ...DEFAULT_VIEW, sortKey: view.sortKey, sortDir: view.sortDir })}
+        >
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+}
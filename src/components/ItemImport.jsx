@@ -0,0 +1,181 @@
+import { useState } from "react";
+import { ITEM_FIELDS } from "../lib/po";
+import { guessMapping, readSheetFile, rowsToItems } from "../lib/sheets";
+
+const PREVIEW_ROWS = 8;
+
+const fieldLabel = (key) => ITEM_FIELDS.find((f) => f.key === key)?.label || key;
+
+/* ---------- Component ---------- */
+// Preview a CSV/Excel sheet, map its columns to item fields and hand the rows to the editor
+// (or, without `withModes`, to the item catalog)
+export default function ItemImport({ onImport, onClose, title = "Import Items from CSV / Excel", withModes = true }) {
+  const [fileName, setFileName] = useState("");
+  const [rows, setRows] = useState([]);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState([]);
+  const [mode, setMode] = useState("append"); // append | replace
+
+  const loadFile = async (file) => {
+    try {
+      const data = await readSheetFile(file);
+      if (!data.length) return alert("The file has no rows.");
+      setFileName(file.name);
+      setRows(data);
+      setHasHeader(true);
+      setMapping(guessMapping(data[0]));
+    } catch (e) {
+      alert("Could not read file: " + e.message);
+    }
+  };
+
+  const width = rows.reduce((w, r) => Math.max(w, r.length), 0);
+  const header = hasHeader ? rows[0] || [] : [];
+  const body = hasHeader ? rows.slice(1) : rows;
+
+  const result = rowsToItems(body, mapping);
+  const mappedCount = mapping.filter(Boolean).length;
+
+  const setColumn = (c, key) =>
+    setMapping((m) => {
+      const next = Array.from({ length: width }, (_, i) => m[i] || "");
+      // a field can only come from one column
+      if (key) next.forEach((k, i) => { if (k === key) next[i] = ""; });
+      next[c] = key;
+      return next;
+    });
+
+  const rowNo = (r) => r + (hasHeader ? 2 : 1);
+
+  return (
+    <section className="po-card">
+      <div className="po-card__header">
+        <h3 className="po-title">{title}</h3>
+        <div className="po-actions">
+          <label className="po-btn" style={{ display: "inline-flex", alignItems: "center", cursor: "pointer" }}>
+            {fileName ? "Choose another file" : "Choose file"}
+            <input
+              type="file"
+              accept=".csv,.txt,.xlsx,.xls,text/csv"
+              style={{ display: "none" }}
+              onChange={(e) => {
+                const f = e.target.files?.[0];
+                if (f) loadFile(f);
+                e.target.value = "";
+              }}
+            />
+          </label>
+          <button className="po-btn ghost" onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+
+      {!rows.length && (
+        <p className="po-note">
+          Pick a .csv, .xlsx or .xls file exported from Maximo or a supplier quotation. Only the
+          first sheet is read.
+        </p>
+      )}
+
+      {rows.length > 0 && (
+        <>
+          <p className="po-note">
+            {fileName}: {body.length} data row(s), {width} column(s). Map each column to an item
+            field, or leave it ignored.
+          </p>
+
+          <label className="po-check" style={{ marginTop: 10 }}>
+            <input
+              type="checkbox"
+              checked={hasHeader}
+              onChange={(e) => setHasHeader(e.target.checked)}
+            />
+            First row is a header
+          </label>
+
+          <div className="po-table-wrap" style={{ marginTop: 10 }}>
+            <table className="po-table">
+              <thead>
+                <tr>
+                  {Array.from({ length: width }, (_, c) => (
+                    <th key={c}>
+                      <div className="po-muted">{header[c] || `Column ${c + 1}`}</div>
+                      <select
+                        className="po-select"
+                        value={mapping[c] || ""}
+                        onChange={(e) => setColumn(c, e.target.value)}
+                      >
+                        <option value="">— ignore —</option>
+                        {ITEM_FIELDS.map((f) => (
+                          <option key={f.key} value={f.key}>{f.label}</option>
+                        ))}
+                      </select>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {body.slice(0, PREVIEW_ROWS).map((cells, r) => (
+                  <tr key={r}>
+                    {Array.from({ length: width }, (_, c) => (
+                      <td key={c} data-label={header[c] || `Column ${c + 1}`}>{cells[c]}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {body.length > PREVIEW_ROWS && (
+            <p className="po-note">…and {body.length - PREVIEW_ROWS} more row(s).</p>
+          )}
+
+          {result.errors.length > 0 && (
+            <div className="po-alert" style={{ borderColor: "var(--error)" }}>
+              <b>{result.errors.length} value(s) are not valid numbers; those rows will be skipped:</b>
+              <ul className="po-history">
+                {result.errors.slice(0, 10).map((e, i) => (
+                  <li key={i}>
+                    Row {rowNo(e.row)}, {fieldLabel(e.field)}: “{e.value}”
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="po-card__header" style={{ marginTop: 14 }}>
+            <div className="po-actions">
+              {withModes && (
+                <>
+                  <label className="po-check">
+                    <input
+                      type="radio"
+                      name="import-mode"
+                      checked={mode === "append"}
+                      onChange={() => setMode("append")}
+                    />
+                    Append to current items
+                  </label>
+                  <label className="po-check">
+                    <input
+                      type="radio"
+                      name="import-mode"
+                      checked={mode === "replace"}
+                      onChange={() => setMode("replace")}
+                    />
+                    Replace current items
+                  </label>
+                </>
+              )}
+            </div>
+            <button
+              className="po-btn outline"
+              disabled={!mappedCount || !result.items.length}
+              onClick={() => onImport(result.items, mode)}
+            >
+              Import {result.items.length} item(s)
+            </button>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
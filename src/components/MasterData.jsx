@@ -0,0 +1,182 @@
+import { useState } from "react";
+import { CURRENCIES } from "../lib/po";
+import { defaultBeneficiary, defaultContract } from "../lib/master";
+
+/* ---------- Component ---------- */
+// Beneficiaries and their LTSA contracts; retired entries stay for old POs but leave the pickers
+export default function MasterData({ master, onChange }) {
+  const [showRetired, setShowRetired] = useState(false);
+  const { beneficiaries, contracts } = master;
+
+  const patchList = (list, id, patch) =>
+    onChange((m) => ({ ...m, [list]: m[list].map((x) => (x.id === id ? { ...x, ...patch } : x)) }));
+
+  const addBeneficiary = () =>
+    onChange((m) => ({ ...m, beneficiaries: [...m.beneficiaries, defaultBeneficiary()] }));
+
+  const addContract = () =>
+    onChange((m) => ({
+      ...m,
+      contracts: [...m.contracts, defaultContract(m.beneficiaries.find((b) => !b.retired)?.id)],
+    }));
+
+  const visible = (x) => showRetired || !x.retired;
+
+  return (
+    <>
+      <section className="po-card">
+        <div className="po-card__header">
+          <h3 className="po-title">Beneficiaries</h3>
+          <div className="po-actions">
+            <label className="po-check">
+              <input
+                type="checkbox"
+                checked={showRetired}
+                onChange={(e) => setShowRetired(e.target.checked)}
+              />
+              Show retired
+            </label>
+            <button className="po-btn" onClick={addBeneficiary}>+ Add Beneficiary</button>
+          </div>
+        </div>
+        <div className="po-table-wrap">
+          <table className="po-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>LTSAs</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {beneficiaries.filter(visible).map((b) => (
+                <tr key={b.id}>
+                  <td data-label="Name" className="col-wide">
+                    <input
+                      className="po-input"
+                      value={b.name}
+                      onChange={(e) => patchList("beneficiaries", b.id, { name: e.target.value })}
+                      placeholder="e.g., Kuwait National Petroleum Company"
+                    />
+                  </td>
+                  <td data-label="LTSAs" className="nowrap">
+                    {contracts.filter((c) => c.beneficiaryId === b.id).map((c) => c.number).join(", ") || "—"}
+                  </td>
+                  <td data-label="Action">
+                    <button
+                      className="po-btn ghost"
+                      onClick={() => patchList("beneficiaries", b.id, { retired: !b.retired })}
+                    >
+                      {b.retired ? "Restore" : "Retire"}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      <section className="po-card">
+        <div className="po-card__header">
+          <h3 className="po-title">LTSA Contracts</h3>
+          <button className="po-btn" onClick={addContract}>+ Add LTSA</button>
+        </div>
+        <div className="po-table-wrap">
+          <table className="po-table">
+            <thead>
+              <tr>
+                <th>LTSA Number</th>
+                <th>Beneficiary</th>
+                <th>Description</th>
+                <th>Valid From</th>
+                <th>Valid To</th>
+                <th>Ceiling Value</th>
+                <th>Currency</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {contracts.filter(visible).map((c) => (
+                <tr key={c.id} className={c.retired ? "po-row-retired" : ""}>
+                  <td data-label="LTSA Number" width="110">
+                    <input
+                      className="po-input"
+                      value={c.number}
+                      onChange={(e) => patchList("contracts", c.id, { number: e.target.value })}
+                      placeholder="e.g., 73000"
+                    />
+                  </td>
+                  <td data-label="Beneficiary">
+                    <select
+                      className="po-select"
+                      value={c.beneficiaryId}
+                      onChange={(e) => patchList("contracts", c.id, { beneficiaryId: e.target.value })}
+                    >
+                      <option value="">— select —</option>
+                      {beneficiaries
+                        .filter((b) => !b.retired || b.id === c.beneficiaryId)
+                        .map((b) => (
+                          <option key={b.id} value={b.id}>{b.name || "(unnamed)"}</option>
+                        ))}
+                    </select>
+                  </td>
+                  <td data-label="Description" className="col-wide">
+                    <textarea
+                      className="po-input po-textarea"
+                      value={c.description}
+                      onChange={(e) => patchList("contracts", c.id, { description: e.target.value })}
+                    />
+                  </td>
+                  <td data-label="Valid From">
+                    <input
+                      className="po-input"
+                      type="date"
+                      value={c.validFrom}
+                      onChange={(e) => patchList("contracts", c.id, { validFrom: e.target.value })}
+                    />
+                  </td>
+                  <td data-label="Valid To">
+                    <input
+                      className="po-input"
+                      type="date"
+                      value={c.validTo}
+                      onChange={(e) => patchList("contracts", c.id, { validTo: e.target.value })}
+                    />
+                  </td>
+                  <td data-label="Ceiling Value" width="140">
+                    <input
+                      className="po-input"
+                      value={c.ceiling}
+                      onChange={(e) => patchList("contracts", c.id, { ceiling: e.target.value })}
+                      placeholder="e.g., 2500000"
+                    />
+                  </td>
+                  <td data-label="Currency">
+                    <select
+                      className="po-select"
+                      value={c.currency}
+                      onChange={(e) => patchList("contracts", c.id, { currency: e.target.value })}
+                    >
+                      {Object.keys(CURRENCIES).map((code) => (
+                        <option key={code} value={code}>{code}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td data-label="Action">
+                    <button
+                      className="po-btn ghost"
+                      onClick={() => patchList("contracts", c.id, { retired: !c.retired })}
+                    >
+                      {c.retired ? "Restore" : "Retire"}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+    </>
+  );
+}
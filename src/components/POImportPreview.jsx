@@ -0,0 +1,83 @@
+import { diffPO } from "../lib/audit";
+
+const MAX_CHANGES = 200;
+
+/* ---------- Component ---------- */
+// What a JSON file would change before it replaces the open PO, or why it can't be imported
+export default function POImportPreview({ file, current, onReplace, onAddNew, onClose }) {
+  const { name, version, po, errors } = file;
+
+  if (errors.length) {
+    return (
+      <section className="po-card">
+        <div className="po-card__header">
+          <h3 className="po-title">Import — {name}</h3>
+          <button className="po-btn ghost" onClick={onClose}>Close</button>
+        </div>
+        <div className="po-alert" style={{ borderColor: "var(--error)" }}>
+          <b className="po-error-text">
+            The file can't be imported: {errors.length} problem(s) found. Nothing was changed.
+          </b>
+          <ul className="po-history">
+            {errors.map((msg, i) => <li key={i}>{msg}</li>)}
+          </ul>
+        </div>
+      </section>
+    );
+  }
+
+  const changes = diffPO(current, po);
+  const cur = current.header.poNumber || "(no number)";
+
+  return (
+    <section className="po-card">
+      <div className="po-card__header">
+        <h3 className="po-title">Import — {name}</h3>
+        <div className="po-actions">
+          <button className="po-btn" onClick={onReplace} disabled={!changes.length}>
+            Replace PO {cur}
+          </button>
+          <button className="po-btn outline" onClick={onAddNew}>Add as new PO</button>
+          <button className="po-btn ghost" onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+      <p className="po-note">
+        PO {po.header.poNumber || "(no number)"} · {po.header.beneficiaryName} · {po.header.status} ·{" "}
+        {po.items.length} line(s), {po.invoices.length} invoice(s)
+        {version === null ? " · saved before schema versions" : ` · schema v${version}`}
+      </p>
+
+      {!changes.length && <p className="po-note">The file matches PO {cur}; replacing it would change nothing.</p>}
+      {changes.length > 0 && (
+        <>
+          <p className="po-note">
+            {changes.length} change(s) if it replaces PO {cur}. Replacing is audited and Ctrl+Z undoes it.
+          </p>
+          <div className="po-table-wrap">
+            <table className="po-table">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Current</th>
+                  <th>Imported</th>
+                </tr>
+              </thead>
+              <tbody>
+                {changes.slice(0, MAX_CHANGES).map((c, i) => (
+                  <tr key={i}>
+                    <td data-label="Field">{c.field}</td>
+                    <td data-label="Current" className="col-wide">{c.from || <span className="po-muted">—</span>}</td>
+                    <td data-label="Imported" className="col-wide">{c.to || <span className="po-muted">—</span>}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {changes.length > MAX_CHANGES && (
+            <p className="po-note">…and {changes.length - MAX_CHANGES} more change(s).</p>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,94 @@
+import { useMemo, useState } from "react";
+import { francoInfoOf, money, statusColor, totalsOf } from "../lib/po";
+
+/* ---------- Component ---------- */
+// without `canEdit` POs can be opened but not duplicated, archived or deleted
+export default function PORegister({ pos, activeId, warnDays, canEdit, onOpen, onDuplicate, onArchive, onDelete }) {
+  const [showArchived, setShowArchived] = useState(false);
+
+  const rows = useMemo(
+    () =>
+      pos
+        .filter((p) => showArchived || !p.archived)
+        .map((p) => ({
+          po: p,
+          total: totalsOf(p).grand,
+          franco: francoInfoOf(p.header.francoDate, warnDays),
+        })),
+    [pos, showArchived, warnDays]
+  );
+
+  const archivedCount = pos.filter((p) => p.archived).length;
+
+  return (
+    <section className="po-card">
+      <div className="po-card__header">
+        <h3 className="po-title">PO Register ({pos.length - archivedCount} open)</h3>
+        <label className="po-check">
+          <input
+            type="checkbox"
+            checked={showArchived}
+            onChange={(e) => setShowArchived(e.target.checked)}
+          />
+          Show archived ({archivedCount})
+        </label>
+      </div>
+
+      <div className="po-table-wrap">
+        <table className="po-table">
+          <thead>
+            <tr>
+              <th>PO Number</th>
+              <th>Beneficiary</th>
+              <th>Status</th>
+              <th>GRAND TOTAL</th>
+              <th>Franco</th>
+              <th>Action</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ po, total, franco }) => (
+              <tr key={po.id} className={po.id === activeId ? "po-row-active" : ""}>
+                <td data-label="PO Number" className="nowrap bold">
+                  {po.header.poNumber || "(no number)"}
+                  {po.archived && <span className="po-muted"> · archived</span>}
+                </td>
+                <td data-label="Beneficiary">{po.header.beneficiaryName}</td>
+                <td data-label="Status">
+                  <span className="po-badge" style={{ background: statusColor(po.header.status) }}>
+                    {po.header.status}
+                  </span>
+                </td>
+                <td data-label="GRAND TOTAL" className="nowrap">
+                  {money(total, po.header.currency)} {po.header.currency}
+                </td>
+                <td data-label="Franco">
+                  <span style={{ color: franco.color }}>{franco.text}</span>
+                </td>
+                <td data-label="Action">
+                  <div className="po-actions">
+                    <button className="po-btn ghost" onClick={() => onOpen(po.id)}>Open</button>
+                    {canEdit && (
+                      <>
+                        <button className="po-btn ghost" onClick={() => onDuplicate(po.id)}>Duplicate</button>
+                        <button className="po-btn ghost" onClick={() => onArchive(po.id, !po.archived)}>
+                          {po.archived ? "Restore" : "Archive"}
+                        </button>
+                        <button className="po-btn danger ghost" onClick={() => onDelete(po.id)}>✕</button>
+                      </>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+            {!rows.length && (
+              <tr>
+                <td colSpan="6" className="po-muted">No purchase orders yet.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,314 @@
+import { invoiceAmountsOf } from "../lib/invoices";
+import {
+  COMPANY,
+  CURRENCIES,
+  PO_TERMS,
+  decimalsOf,
+  lineAmountsOf,
+  lineTotalOf,
+  money,
+  parseNum,
+  soldQtyOf,
+  totalsOf,
+} from "../lib/po";
+import { amountInWords } from "../lib/words";
+
+const Letterhead = ({ title, po, number }) => (
+  <header className="po-doc__head">
+    <div>
+      <div className="po-doc__company">{COMPANY.name}</div>
+      {COMPANY.addressLines.map((l) => (
+        <div key={l} className="po-muted">{l}</div>
+      ))}
+      {COMPANY.contact && <div className="po-muted">{COMPANY.contact}</div>}
+    </div>
+    <div className="right">
+      <div className="po-doc__title">{title}</div>
+      <div>No. <b>{number || po.header.poNumber}</b></div>
+      {number && <div>PO No. {po.header.poNumber}</div>}
+      <div className="po-muted">Printed {new Date().toISOString().slice(0, 10)}</div>
+    </div>
+  </header>
+);
+
+const PartyBlock = ({ po, contract }) => {
+  const validity = [contract?.validFrom, contract?.validTo].filter(Boolean).join(" to ");
+  return (
+    <div className="po-doc__parties">
+      <div>
+        <div className="po-doc__caption">Beneficiary / LTSA</div>
+        <div className="bold">{po.header.beneficiaryName}</div>
+        <div>LTSA No. {po.header.ltsaNumber}</div>
+        {validity && <div className="po-muted">LTSA valid {validity}</div>}
+        <div className="po-muted">{po.header.ltsaDescription}</div>
+      </div>
+      <table className="po-doc__dates">
+        <tbody>
+          <tr><th>Date of Issue</th><td>{po.header.dateOfIssue}</td></tr>
+          <tr><th>Required on Site</th><td>{po.header.siteDate}</td></tr>
+          <tr><th>Required Franco</th><td>{po.header.francoDate}</td></tr>
+          <tr><th>Status</th><td>{po.header.status}</td></tr>
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const Signatures = ({ labels }) => (
+  <div className="po-doc__signs">
+    {labels.map((l) => (
+      <div key={l} className="po-doc__sign">
+        <div className="po-doc__sign-line" />
+        <div className="bold">{l}</div>
+        <div className="po-muted">Name / Signature / Date</div>
+      </div>
+    ))}
+  </div>
+);
+
+const PurchaseOrderDoc = ({ po, contract }) => {
+  const cur = po.header.currency;
+  const t = totalsOf(po);
+  const taxRate = parseNum(po.header.taxRate);
+  return (
+    <>
+      <Letterhead title="PURCHASE ORDER" po={po} />
+      <PartyBlock po={po} contract={contract} />
+      <table className="po-doc__table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>MAXIMO NO.</th>
+            <th>Item / Description</th>
+            <th>TPI</th>
+            <th>Material / Grade</th>
+            <th>Unit</th>
+            <th className="right">QTY</th>
+            <th className="right">Unit Price</th>
+            <th className="right">Disc %</th>
+            <th className="right">Line Total ({cur})</th>
+          </tr>
+        </thead>
+        <tbody>
+          {po.items.map((r) => (
+            <tr key={r.id}>
+              <td>{r.lineNo}</td>
+              <td>{r.maximoNo}</td>
+              <td>
+                <div className="bold">{r.item}</div>
+                <div>{r.description}</div>
+              </td>
+              <td>{r.tpi}</td>
+              <td>{[r.material, r.grade].filter(Boolean).join(" / ")}</td>
+              <td>{r.unitCode}</td>
+              <td className="right">{parseNum(r.qty)}</td>
+              <td className="right">{money(r.unitPrice, cur)}</td>
+              <td className="right">{parseNum(r.discountPct) || ""}</td>
+              <td className="right">{money(lineTotalOf(r), cur)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td colSpan="9" className="right">Subtotal</td>
+            <td className="right">{money(t.subtotal, cur)}</td>
+          </tr>
+          {t.discount > 0 && (
+            <tr>
+              <td colSpan="9" className="right">Discount</td>
+              <td className="right">−{money(t.discount, cur)}</td>
+            </tr>
+          )}
+          {taxRate > 0 && (
+            <tr>
+              <td colSpan="9" className="right">VAT ({taxRate}%)</td>
+              <td className="right">{money(t.tax, cur)}</td>
+            </tr>
+          )}
+          <tr>
+            <td colSpan="9" className="right bold">GRAND TOTAL ({cur})</td>
+            <td className="right bold">{money(t.grand, cur)}</td>
+          </tr>
+        </tfoot>
+      </table>
+      <p className="po-doc__words">
+        <b>Amount in words:</b> {amountInWords(t.grand, decimalsOf(cur), CURRENCIES[cur]?.name)}
+      </p>
+
+      <section className="po-doc__terms">
+        <div className="po-doc__caption">Terms &amp; Conditions</div>
+        <ol>
+          {PO_TERMS.map((t) => <li key={t}>{t}</li>)}
+        </ol>
+      </section>
+
+      <Signatures labels={["Prepared by", "Approved by", "Supplier Acceptance"]} />
+    </>
+  );
+};
+
+const DeliveryNoteDoc = ({ po, contract }) => {
+  const rows = po.items.map((r) => {
+    const qty = parseNum(r.qty);
+    const delivered = soldQtyOf(po.sales[r.id]);
+    return { r, qty, delivered, remaining: Math.max(qty - delivered, 0) };
+  });
+  const sum = (k) => rows.reduce((a, x) => a + x[k], 0);
+  return (
+    <>
+      <Letterhead title="DELIVERY NOTE / BALANCE" po={po} />
+      <PartyBlock po={po} contract={contract} />
+      <table className="po-doc__table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>MAXIMO NO.</th>
+            <th>Item / Description</th>
+            <th>Unit</th>
+            <th className="right">Ordered</th>
+            <th className="right">Delivered</th>
+            <th className="right">Balance</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ r, qty, delivered, remaining }) => (
+            <tr key={r.id}>
+              <td>{r.lineNo}</td>
+              <td>{r.maximoNo}</td>
+              <td>
+                <div className="bold">{r.item}</div>
+                <div>{r.description}</div>
+              </td>
+              <td>{r.unitCode}</td>
+              <td className="right">{qty}</td>
+              <td className="right">{delivered}</td>
+              <td className="right">{remaining}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td colSpan="4" className="right bold">TOTALS</td>
+            <td className="right bold">{sum("qty")}</td>
+            <td className="right bold">{sum("delivered")}</td>
+            <td className="right bold">{sum("remaining")}</td>
+          </tr>
+        </tfoot>
+      </table>
+
+      <Signatures labels={["Delivered by", "Received by (Stores)", "Checked by"]} />
+    </>
+  );
+};
+
+const InvoiceDoc = ({ po, contract, invoice }) => {
+  const cur = invoice.currency;
+  const a = invoiceAmountsOf(invoice);
+  const taxRate = parseNum(invoice.taxRate);
+  const validity = [contract?.validFrom, contract?.validTo].filter(Boolean).join(" to ");
+  return (
+    <>
+      <Letterhead title="INVOICE" po={po} number={invoice.number} />
+      <div className="po-doc__parties">
+        <div>
+          <div className="po-doc__caption">Bill To</div>
+          <div className="bold">{po.header.beneficiaryName}</div>
+          <div>LTSA No. {po.header.ltsaNumber}</div>
+          {validity && <div className="po-muted">LTSA valid {validity}</div>}
+        </div>
+        <table className="po-doc__dates">
+          <tbody>
+            <tr><th>Invoice Date</th><td>{invoice.date}</td></tr>
+            <tr><th>Due Date</th><td>{invoice.dueDate}</td></tr>
+            <tr><th>PO Date of Issue</th><td>{po.header.dateOfIssue}</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <table className="po-doc__table">
+        <thead>
+          <tr>
+            <th>PO Line</th>
+            <th>MAXIMO NO.</th>
+            <th>Item / Description</th>
+            <th>Unit</th>
+            <th className="right">QTY</th>
+            <th className="right">Unit Price</th>
+            <th className="right">Disc %</th>
+            <th className="right">Amount ({cur})</th>
+          </tr>
+        </thead>
+        <tbody>
+          {invoice.lines.map((l) => {
+            const r = po.items.find((x) => x.id === l.lineId) || {};
+            return (
+              <tr key={l.lineId}>
+                <td>{r.lineNo}</td>
+                <td>{r.maximoNo}</td>
+                <td>
+                  <div className="bold">{r.item}</div>
+                  <div>{r.description}</div>
+                </td>
+                <td>{r.unitCode}</td>
+                <td className="right">{parseNum(l.qty)}</td>
+                <td className="right">{money(l.unitPrice, cur)}</td>
+                <td className="right">{parseNum(l.discountPct) || ""}</td>
+                <td className="right">{money(lineAmountsOf(l).net, cur)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td colSpan="7" className="right">Net</td>
+            <td className="right">{money(a.net, cur)}</td>
+          </tr>
+          {taxRate > 0 && (
+            <tr>
+              <td colSpan="7" className="right">VAT ({taxRate}%)</td>
+              <td className="right">{money(a.tax, cur)}</td>
+            </tr>
+          )}
+          <tr>
+            <td colSpan="7" className="right bold">TOTAL ({cur})</td>
+            <td className="right bold">{money(a.total, cur)}</td>
+          </tr>
+          {a.paid > 0 && (
+            <>
+              <tr>
+                <td colSpan="7" className="right">Paid</td>
+                <td className="right">−{money(a.paid, cur)}</td>
+              </tr>
+              <tr>
+                <td colSpan="7" className="right bold">BALANCE DUE ({cur})</td>
+                <td className="right bold">{money(a.balance, cur)}</td>
+              </tr>
+            </>
+          )}
+        </tfoot>
+      </table>
+      <p className="po-doc__words">
+        <b>Amount in words:</b> {amountInWords(a.total, decimalsOf(cur), CURRENCIES[cur]?.name)}
+      </p>
+      {invoice.notes && <p>{invoice.notes}</p>}
+
+      <Signatures labels={["Prepared by", "Approved by", "Received by"]} />
+    </>
+  );
+};
+
+/* ---------- Component ---------- */
+// Print-only layout; the editor renders it and calls window.print()
+export default function PrintDocument({ kind, po, contract, invoiceId }) {
+  const invoice = kind === "invoice" ? (po.invoices || []).find((inv) => inv.id === invoiceId) : null;
+  return (
+    <article className="po-print po-doc">
+      {invoice ? (
+        <InvoiceDoc po={po} contract={contract} invoice={invoice} />
+      ) : kind === "delivery" ? (
+        <DeliveryNoteDoc po={po} contract={contract} />
+      ) : (
+        <PurchaseOrderDoc po={po} contract={contract} />
+      )}
+    </article>
+  );
+}
@@ -1,306 +1,936 @@
-import { useEffect, useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
+import ApprovalPanel from "./ApprovalPanel";
+import AttachmentsPanel from "./AttachmentsPanel";
+import CatalogMismatch from "./CatalogMismatch";
+import ChangeRequest from "./ChangeRequest";
+import AuditLog from "./AuditLog";
+import BulkBar from "./BulkBar";
+import ContractDashboard from "./ContractDashboard";
+import DeadlinesDashboard from "./DeadlinesDashboard";
+import FieldError from "./FieldError";
+import InvoicePanel from "./InvoicePanel";
+import ItemFilters from "./ItemFilters";
+import ItemCatalog from "./ItemCatalog";
+import ItemImport from "./ItemImport";
+import POImportPreview from "./POImportPreview";
+import MasterData from "./MasterData";
+import PORegister from "./PORegister";
+import PrintDocument from "./PrintDocument";
+import ReportDashboard from "./ReportDashboard";
+import SaleTransactions from "./SaleTransactions";
+import ServerSettings from "./ServerSettings";
+import ShipmentLog from "./ShipmentLog";
+import SortHeader from "./SortHeader";
+import StatusStepper from "./StatusStepper";
+import SupplierOrders from "./SupplierOrders";
+import SyncStatus from "./SyncStatus";
+import UserAdmin from "./UserAdmin";
+import UserSwitch from "./UserSwitch";
+import {
+  CURRENCIES,
+  LINE_DATE_FIELDS,
+  defaultItem,
+  defaultSale,
+  defaultState,
+  francoInfoOf,
+  lineTotalOf,
+  money,
+  newId,
+  parseNum,
+  soldQtyOf,
+  statusColor,
+  totalsOf,
+} from "../lib/po";
+import { defaultAttachment, missingTpiNotes, pruneFiles, putFile } from "../lib/attachments";
+import { approvalLabel, decideApproval, needsApproval, pendingApprovalOf, requestApproval } from "../lib/approvals";
+import { appendAudit, auditEntries, getUserName, setUserName } from "../lib/audit";
+import {
+  catalogEntryOf,
+  catalogFill,
+  catalogKey,
+  harvestCatalog,
+  loadCatalog,
+  mismatchesOf,
+  priceHistoryOf,
+  quoteLabel,
+  quotesText,
+  saveCatalog,
+} from "../lib/catalog";
+import { SCHEMA_VERSION, migratePO, schemaErrors } from "../lib/schema";
+import { ceilingWarning } from "../lib/contracts";
+import { deadlineRows, loadThresholds, notifyDeadlines, saveThresholds } from "../lib/deadlines";
+import { downloadBlob, fileSlug } from "../lib/download";
+import {
+  completionBlockers,
+  defaultInvoice,
+  defaultPayment,
+  invoiceAmountsOf,
+  invoicedQtyOf,
+  nextInvoiceNumber,
+} from "../lib/invoices";
+import { DEFAULT_VIEW, isFiltered, toggleSort, viewRows } from "../lib/itemView";
+import {
+  contractLabel,
+  contractOf,
+  headerFromContract,
+  loadMaster,
+  saveMaster,
+  validityWarning,
+} from "../lib/master";
+import { loadServerUrl, saveServerUrl } from "../lib/remote";
+import { REPORTS, exportReportCSV, exportReportXLSX } from "../lib/reports";
+import {
+  defaultShipment,
+  lineLabelOf,
+  receivedQtyOf,
+  shippedQtyOf,
+  syncDerivedStatus,
+} from "../lib/shipments";
+import { defaultSupplierOrder, marginTotalsOf, orderedQtyOf } from "../lib/supplier";
+import { clearRegister, isQuotaError, loadRegister, makeEntry, normalizePO, saveRegister } from "../lib/storage";
+import { useServerSync } from "../lib/sync";
+import {
+  accessOf,
+  deniedChange,
+  deniedMessage,
+  loadCurrentUserId,
+  loadUsers,
+  saveCurrentUserId,
+  saveUsers,
+  statusGroup,
+  whoLabel,
+} from "../lib/users";
+import { copyItem, isBlankItem, isGridPaste, moveItem, numberLines, parseGrid, pasteGrid, withItems } from "../lib/rows";
+import { canRedo, canUndo, pushUndo, redoStep, undoStep } from "../lib/undo";
+import { blocksTransition, validatePO } from "../lib/validation";
+import { useVirtualRows } from "../lib/virtual";
+import { checkTransition, historyEntry, isAtOrPast } from "../lib/workflow";
 import "../styles/po.css";
 
-/* ---------- Helpers ---------- */
-const parseNum = (v) => {
-  if (v === null || v === undefined) return 0;
-  const n = parseFloat(String(v).replace(/[^\d.-]/g, ""));
-  return Number.isFinite(n) ? n : 0;
-};
-
-const money = (n) => parseNum(n).toFixed(2);
-
-const daysUntil = (dateISO) => {
-  try {
-    const today = new Date();
-    const target = new Date(dateISO + "T23:59:59");
-    return Math.ceil((target - new Date(today.toDateString())) / 86400000);
-  } catch {
-    return NaN;
-  }
-};
-
-/* ---------- Constants ---------- */
-const STATUS_STEPS = [
-  "Supplier PO Released",
-  "Under Production",
-  "Shipped",
-  "Stored",
-  "Delivered",
-  "Invoiced",
-  "Completed",
-];
-
-const statusColor = (s) =>
-  ({
-    "Supplier PO Released": "#2563eb",
-    "Under Production": "#7c3aed",
-    Shipped: "#0ea5e9",
-    Stored: "#0891b2",
-    Delivered: "#16a34a",
-    Invoiced: "#f59e0b",
-    Completed: "#111827",
-  }[s] || "#6b7280");
-
-const BENEFICIARY_OPTIONS = {
-  KNPC_73000: {
-    beneficiaryName: "Kuwait National Petroleum Company",
-    ltsaNumber: "73000",
-    label: "Option 1: 73000 – Kuwait National Petroleum Company",
-  },
-  KIPIC_71449: {
-    beneficiaryName: "Kuwait Integrated Petroleum Industries Company",
-    ltsaNumber: "71449",
-    label: "Option 2: 71449 – Kuwait Integrated Petroleum Industries Company",
-  },
-};
-
-/* ---------- Storage & defaults ---------- */
-const STORAGE_KEY = "po_app_state_v3"; // free-text version
-
-const defaultHeader = () => ({
-  poNumber: "419513",
-  ltsaNumber: BENEFICIARY_OPTIONS.KNPC_73000.ltsaNumber,
-  beneficiaryName: BENEFICIARY_OPTIONS.KNPC_73000.beneficiaryName,
-  ltsaDescription:
-    "Long-Term Service Agreement related to supply and support for refinery operations.",
-  dateOfIssue: "2025-04-16",
-  siteDate: "2025-08-14",
-  francoDate: "2025-08-14",
-  status: "Supplier PO Released",
-});
-
-const defaultItem = () => ({
-  maximoNo: "",
-  item: "",
-  description: "",
-  tpi: "",        // <- free text
-  material: "",   // <- free text
-  grade: "",      // <- free text
-  unitCode: "",   // <- free text
-  qty: "",        // <- free text; numbers parsed
-  unitPrice: "",  // <- free text; numbers parsed
-});
-
-const defaultState = () => ({
-  option: "KNPC_73000",
-  header: defaultHeader(),
-  items: [defaultItem()],
-  sales: [], // array of strings per row
-});
-
 /* ---------- Component ---------- */
 export default function PurchaseOrderEditor() {
-  const [state, setState] = useState(() => {
+  const [register, setRegister] = useState(loadRegister);
+  const { activeId, pos } = register;
+  const state = pos.find((p) => p.id === activeId) || pos[0];
+
+  const { option, header, items, sales, shipments, supplierOrders, invoices, attachments } = state;
+
+  // register | purchase | supplier | deliveries | sales | remaining | documents | deadlines | audit | contracts
+  // | dashboard | master
+  const [tab, setTab] = useState("purchase");
+  const [showItemImport, setShowItemImport] = useState(false);
+  const [printDoc, setPrintDoc] = useState(null); // null | po | delivery | invoice:<id>
+
+  const [savedFlag, setSavedFlag] = useState(false);
+  const flashSaved = () => {
+    setSavedFlag(true);
+    setTimeout(() => setSavedFlag(false), 800);
+  };
+
+  const setRegisterAndSave = (updater) =>
+    setRegister((prev) => (typeof updater === "function" ? updater(prev) : updater));
+
+  // writes are batched: serializing a 2,000-line register on every keystroke made typing lag
+  const savedRef = useRef(register);
+  const latestRef = useRef(register);
+  const [saveError, setSaveError] = useState("");
+
+  // saved POs that couldn't be read stay stored as they are: nothing is saved (or synced) over them
+  const [loadError, setLoadError] = useState(register.loadError || "");
+  const lockedRef = useRef(!!loadError); // read by the timer / pagehide writes below
+
+  // a failed write stays shown (and unsaved, so the next change tries again) until one succeeds
+  const writeRegister = (reg) => {
+    if (lockedRef.current) {
+      setSaveError("Not saved – saved POs couldn't be read");
+      return false;
+    }
     try {
-      // Try v3 first
-      const v3 = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
-      if (v3) return v3;
-
-      // Migrate older versions if present
-      const v2 = JSON.parse(localStorage.getItem("po_app_state_v2") || "null");
-      const v1 = JSON.parse(localStorage.getItem("po_app_state_v1") || "null");
-      const old = v2 || v1;
-
-      if (old) {
-        const migrated = {
-          ...old,
-          items: Array.isArray(old.items)
-            ? old.items.map((r) => ({
-                maximoNo: r.maximoNo ?? "",
-                item: r.item ?? "",
-                description: r.description ?? "",
-                tpi: r.tpi ?? "",
-                material: r.material ?? "",
-                grade: r.grade ?? "",
-                unitCode: r.unitCode ?? "",
-                qty: r.qty ?? r.ltsaQty ?? "",
-                unitPrice: r.unitPrice ?? "",
-              }))
-            : [defaultItem()],
-          sales: Array.isArray(old.sales)
-            ? old.sales.map((s) => (s === 0 ? "" : String(s ?? "")))
-            : [],
-        };
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(migrated));
-        return migrated;
-      }
-
-      return defaultState();
-    } catch {
-      return defaultState();
+      saveRegister(reg);
+    } catch (e) {
+      setSaveError(isQuotaError(e) ? "Not saved – storage full" : `Not saved – ${e.message}`);
+      return false;
     }
-  });
+    savedRef.current = reg;
+    setSaveError("");
+    return true;
+  };
 
-  const { option, header, items, sales } = state;
+  useEffect(() => {
+    latestRef.current = register;
+    if (register === savedRef.current) return;
+    const t = setTimeout(() => {
+      if (!writeRegister(register)) return;
+      flashSaved();
+      // MAXIMO numbers new on the saved POs go into the catalog with them (see harvestCatalog)
+      setCatalog((c) => {
+        const next = harvestCatalog(c, register.pos);
+        if (next !== c) saveCatalog(next);
+        return next;
+      });
+    }, 400);
+    return () => clearTimeout(t);
+  }, [register]);
 
-  const [savedFlag, setSavedFlag] = useState(false);
-  const setAndSave = (updater) => {
-    setState((prev) => {
+  // ...and flushed when the tab is closed or hidden before the timer fires
+  useEffect(() => {
+    const flush = () => {
+      if (latestRef.current === savedRef.current) return;
+      writeRegister(latestRef.current);
+    };
+    window.addEventListener("pagehide", flush);
+    return () => window.removeEventListener("pagehide", flush);
+  }, []);
+
+  // who is working: once users are set up, their role decides what they may change (see users.js)
+  const [users, setUsers] = useState(loadUsers);
+  const [userId, setUserId] = useState(loadCurrentUserId);
+  const access = accessOf(users, userId);
+  // a signed-in user without a name is still them, not whoever last typed a name into this browser
+  const who = () =>
+    access.user
+      ? { id: access.user.id, name: access.user.name || "(no name)" }
+      : { id: "", name: getUserName() || "(anonymous)" };
+
+  const allowed = (group) => {
+    if (access.can(group)) return true;
+    alert(deniedMessage(access, group));
+    return false;
+  };
+  // what the role can't change is shown read-only, so nobody types into a field only to be refused
+  const ro = (group) => !access.can(group);
+
+  const setUsersAndSave = (updater) => {
+    setUsers((prev) => {
       const next = typeof updater === "function" ? updater(prev) : updater;
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
-      setSavedFlag(true);
-      setTimeout(() => setSavedFlag(false), 800);
+      saveUsers(next);
+      flashSaved();
       return next;
     });
   };
 
-  // keep beneficiary & LTSA number in sync with option
+  // the undo history goes with the person: nobody undoes changes they weren't allowed to make
+  const switchUser = (id) => {
+    setUserId(id);
+    saveCurrentUserId(id);
+    setRegisterAndSave((reg) => ({ ...reg, undo: undefined }));
+  };
+
+  // the audit trail records the signed-in user's name
+  const userName = access.user?.name;
   useEffect(() => {
-    const b = BENEFICIARY_OPTIONS[option];
-    setAndSave((s) => ({
-      ...s,
-      header: { ...s.header, beneficiaryName: b.beneficiaryName, ltsaNumber: b.ltsaNumber },
-    }));
-    
-  }, [option]);
+    if (userName) setUserName(userName);
+  }, [userName]);
+
+  // updates the open PO inside the register; every change is audited and undoable
+  // (a status driven by the shipment logs is re-derived in the same step, so undo stays consistent).
+  // With users, the change is first tried on the PO as shown and refused if the role doesn't allow it.
+  const setAndSave = (updater, via) => {
+    if (!access.open) {
+      const changed = typeof updater === "function" ? updater(state) : { ...state, ...updater };
+      const preview = syncDerivedStatus(numberLines(changed));
+      const denied = preview !== state && deniedChange(access, state, preview, via);
+      if (denied) return alert(denied);
+    }
+    setRegisterAndSave((reg) => {
+      const id = reg.pos.some((p) => p.id === reg.activeId) ? reg.activeId : reg.pos[0].id;
+      const p = reg.pos.find((x) => x.id === id);
+      const next = syncDerivedStatus(numberLines(typeof updater === "function" ? updater(p) : { ...p, ...updater }));
+      if (next === p) return reg;
+      const changes = auditEntries(p, next, via, who().name);
+      const stamped = {
+        ...next,
+        auditLog: appendAudit(p.auditLog, changes),
+        updatedAt: new Date().toISOString(),
+      };
+      return {
+        ...reg,
+        pos: reg.pos.map((x) => (x.id === id ? stamped : x)),
+        undo: pushUndo(reg, id, p, changes),
+      };
+    });
+  };
+
+  const undo = () => setRegisterAndSave((reg) => undoStep(reg, who().name));
+  const redo = () => setRegisterAndSave((reg) => redoStep(reg, who().name));
+
+  // Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y) over our own history, not the browser's per-input undo
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const k = e.key.toLowerCase();
+      if (k === "z" && !e.shiftKey) { e.preventDefault(); undo(); }
+      else if ((k === "z" && e.shiftKey) || k === "y") { e.preventDefault(); redo(); }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // beneficiary / LTSA master data, shared by all POs
+  const [master, setMaster] = useState(loadMaster);
+  const setMasterAndSave = (updater) => {
+    setMaster((prev) => {
+      const next = typeof updater === "function" ? updater(prev) : updater;
+      saveMaster(next);
+      flashSaved();
+      return next;
+    });
+  };
+
+  // MAXIMO item catalog, also shared by all POs; unchanged updates (e.g. nothing to harvest) aren't written
+  const [catalog, setCatalog] = useState(loadCatalog);
+  const setCatalogAndSave = (updater) => {
+    setCatalog((prev) => {
+      const next = typeof updater === "function" ? updater(prev) : updater;
+      if (next === prev) return prev;
+      saveCatalog(next);
+      flashSaved();
+      return next;
+    });
+  };
+  const harvestAll = () => setCatalogAndSave((c) => harvestCatalog(c, pos));
+  const harvest = () => access.can("catalog") && harvestAll();
+
+  // optional shared server; localStorage above stays the working copy either way
+  const [serverUrl, setServerUrl] = useState(loadServerUrl);
+  const sync = useServerSync(loadError ? "" : serverUrl, register, master, catalog, {
+    setRegister: setRegisterAndSave,
+    setMaster: setMasterAndSave,
+    setCatalog: setCatalogAndSave,
+  });
+  const connectServer = (url) => setServerUrl(saveServerUrl(url));
+
+  const priceHistory = useMemo(() => priceHistoryOf(pos), [pos]);
+  // earlier quotes for a line's MAXIMO NO. on other POs, newest first
+  const quotesOf = (r) => (priceHistory.get(catalogKey(r.maximoNo)) || []).filter((q) => q.poId !== state.id);
+  const catalogList = useMemo(() => Object.values(catalog), [catalog]);
+  const catalogItemCodes = useMemo(
+    () => [...new Set(catalogList.map((e) => e.item).filter(Boolean))],
+    [catalogList]
+  );
+
+  const contract = contractOf(master, option);
+  const ltsaWarning = validityWarning(contract, header.dateOfIssue);
+  const ceilingAlert = useMemo(() => ceilingWarning(master, pos, state), [master, pos, state]);
 
   // numeric helpers
   const qtyOf = (row) => parseNum(row?.qty);
-  const soldOf = (i) => parseNum(sales[i]);
+  const soldByRow = useMemo(() => items.map((r) => soldQtyOf(sales[r.id])), [items, sales]);
+  const soldOf = (i) => soldByRow[i];
 
-  // totals
-  const lineTotals = useMemo(
-    () => items.map((r) => qtyOf(r) * parseNum(r.unitPrice)),
-    [items]
-  );
-  const grandTotal = useMemo(
-    () => lineTotals.reduce((a, b) => a + b, 0),
-    [lineTotals]
+  // totals (LINE TOTAL is net of line discount; tax applies on the discounted subtotal)
+  const cur = header.currency;
+  const lineTotals = useMemo(() => items.map(lineTotalOf), [items]);
+  const totals = useMemo(() => totalsOf({ header, items }), [header, items]);
+  const margins = useMemo(
+    () => marginTotalsOf({ header, items, supplierOrders }),
+    [header, items, supplierOrders]
   );
 
-  // Franco info
-  const francoInfo = useMemo(() => {
-    const d = daysUntil(header.francoDate);
-    if (isNaN(d)) return { text: "Invalid Franco Date", color: "#b91c1c" };
-    if (d < 0) return { text: `Franco date passed by ${Math.abs(d)} day(s).`, color: "#b91c1c" };
-    if (d <= 15) return { text: `${d} day(s) left until Franco date.`, color: "#b45309" };
-    return { text: `${d} day(s) left until Franco date.`, color: "#065f46" };
-  }, [header.francoDate]);
-
-  // keep sales length aligned with items
+  // validation (inline errors + pre-release gate)
+  const validation = useMemo(() => validatePO({ header, items }), [header, items]);
+  const invalid = (msg) => (msg ? "po-input invalid" : "po-input");
+
+  // deadline thresholds (days) shared by the Franco banner, register and deadlines view
+  const [thresholds, setThresholds] = useState(loadThresholds);
+  const updateThresholds = (t) => {
+    saveThresholds(t);
+    setThresholds(t);
+  };
+
+  // removed attachments keep their files for undo until the next start-up
+  // (not when the register couldn't be read: its POs' files are still needed)
   useEffect(() => {
-    if (sales.length !== items.length) {
-      const nextSales = items.map((_, i) => (sales[i] == null ? "" : String(sales[i])));
-      setAndSave((s) => ({ ...s, sales: nextSales }));
-    }
+    if (loadError) return;
+    pruneFiles(pos.flatMap((p) => p.attachments.map((a) => a.id))).catch(() => {});
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [items.length]);
+  }, []);
 
-  const remainingByRow = items.map((r, i) => {
-    const qty = qtyOf(r);
-    const sold = soldOf(i);
-    return Math.max(qty - sold, 0);
-  });
+  // the catalog picks up MAXIMO numbers from POs saved in earlier sessions; this only adds numbers
+  // it doesn't know yet, so it runs whoever is signed in
+  useEffect(() => {
+    harvestAll();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // remind about approaching / past Franco dates once per session (if the user allowed it)
+  useEffect(() => {
+    notifyDeadlines(deadlineRows(pos.filter((p) => !p.archived), thresholds));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Franco info
+  const francoInfo = useMemo(
+    () => francoInfoOf(header.francoDate, thresholds.warnDays),
+    [header.francoDate, thresholds.warnDays]
+  );
+
+  const remainingByRow = useMemo(
+    () => items.map((r, i) => Math.max(parseNum(r.qty) - soldByRow[i], 0)),
+    [items, soldByRow]
+  );
+  const soldTotal = items.reduce((a, _, i) => a + soldOf(i), 0);
+
+  // search / filters / sort for the Items, Sales and Remaining tables; rows are item indices
+  const [view, setView] = useState(DEFAULT_VIEW);
+  const updateView = (patch) => setView((v) => ({ ...v, ...patch }));
+  const sortBy = (k) => setView((v) => ({ ...v, ...toggleSort(v, k) }));
+  const rows = useMemo(
+    () =>
+      viewRows(items, view, remainingByRow, {
+        lineNo: items.map((r) => parseNum(r.lineNo)),
+        lineTotal: lineTotals,
+        sold: soldByRow,
+        remaining: remainingByRow,
+      }),
+    [items, view, remainingByRow, lineTotals, soldByRow]
+  );
+  const filtered = isFiltered(view);
+  const itemsWindow = useVirtualRows(rows.length, 64);
+  const salesWindow = useVirtualRows(rows.length, 120);
+  const remainingWindow = useVirtualRows(rows.length, 44);
+  const visible = (w) => rows.slice(w.start, w.end);
+  const filters = (
+    <ItemFilters items={items} view={view} onChange={updateView} shown={rows.length} total={items.length} />
+  );
+  const sortTh = (k, label) => (
+    <SortHeader k={k} view={view} onSort={sortBy}>{label}</SortHeader>
+  );
+
+  const shippedOf = (r) => shippedQtyOf(shipments[r.id]);
+  const missingTpi = missingTpiNotes(state);
+  const receivedOf = (r) => receivedQtyOf(shipments[r.id]);
+  const lineOf = (id) => items.find((r) => r.id === id);
 
   /* ---------- actions ---------- */
-  const newPO = () =>
-    setAndSave({
-      option: "KNPC_73000",
-      header: defaultHeader(),
-      items: [defaultItem()],
-      sales: [""],
+  const openPO = (id) => {
+    setRegisterAndSave((reg) => ({ ...reg, activeId: id }));
+    setTab("purchase");
+  };
+
+  const newPO = () => {
+    if (!allowed("register")) return;
+    const entry = makeEntry(defaultState());
+    setRegisterAndSave((reg) => ({ activeId: entry.id, pos: [...reg.pos, entry] }));
+    setTab("purchase");
+  };
+
+  const duplicatePO = (id) => {
+    const src = pos.find((p) => p.id === id);
+    if (!src || !allowed("register")) return;
+    const { option, header, items } = structuredClone(src);
+    const entry = makeEntry({
+      option,
+      header: { ...header, poNumber: `${header.poNumber} (copy)`, status: defaultState().header.status },
+      items: items.map((r) => ({ ...r, id: newId() })),
+      sales: {},
+      shipments: {},
+      supplierOrders: {},
+      invoices: [],
+      attachments: [],
+      approvals: [],
+      statusHistory: [],
+      auditLog: [],
+    });
+    setRegisterAndSave((reg) => ({ activeId: entry.id, pos: [...reg.pos, entry] }));
+    setTab("purchase");
+  };
+
+  const archivePO = (id, archived) =>
+    allowed("register") &&
+    setRegisterAndSave((reg) => ({
+      ...reg,
+      pos: reg.pos.map((p) => (p.id === id ? { ...p, archived } : p)),
+    }));
+
+  const deletePO = (id) => {
+    const po = pos.find((p) => p.id === id);
+    if (!po || !allowed("register") || !confirm(`Delete PO ${po.header.poNumber || "(no number)"}? This cannot be undone.`)) return;
+    setRegisterAndSave((reg) => {
+      const rest = reg.pos.filter((p) => p.id !== id);
+      // the register always keeps at least one PO open in the editor
+      const remaining = rest.length ? rest : [makeEntry(defaultState())];
+      const activeId = reg.activeId === id ? remaining[0].id : reg.activeId;
+      return { activeId, pos: remaining };
     });
+  };
 
   const updateHeader = (patch) =>
     setAndSave((s) => ({ ...s, header: { ...s.header, ...patch } }));
 
-  const updateItem = (i, k, v) =>
+  // picking an LTSA copies its beneficiary, number and description into the header
+  const selectContract = (id) => {
+    const c = contractOf(master, id);
+    if (!c) return;
+    setAndSave((s) => ({ ...s, option: id, header: { ...s.header, ...headerFromContract(master, c) } }));
+  };
+
+  const changeStatus = (to, reason = "") => {
+    const err = checkTransition(header.status, to, reason);
+    if (err) return alert(err);
+    // Completed means fully billed and paid
+    const unbilled = to === "Completed" ? completionBlockers(state, remainingByRow) : [];
+    if (unbilled.length) {
+      return alert(`Can't complete this PO yet:\n\n${unbilled.slice(0, 12).join("\n")}`);
+    }
+    if (blocksTransition(validation, header.status, to)) {
+      return alert(
+        `Fix ${validation.count} validation issue(s) before moving past "${header.status}":\n\n` +
+          validation.summary.slice(0, 12).join("\n")
+      );
+    }
     setAndSave((s) => ({
       ...s,
-      items: s.items.map((r, idx) => (idx === i ? { ...r, [k]: v } : r)),
+      header: { ...s.header, status: to },
+      statusHistory: [...(s.statusHistory || []), historyEntry(s.header.status, to, reason)],
     }));
+  };
 
-  const addRow = () =>
+  // `fill`: the value was picked from the catalog list, so the line's blank fields are filled right away
+  const updateItem = (id, k, v, fill = false) =>
     setAndSave((s) => ({
       ...s,
-      items: [...s.items, defaultItem()],
-      sales: [...s.sales, ""],
+      items: s.items.map((r) => {
+        if (r.id !== id) return r;
+        const next = { ...r, [k]: v };
+        const entry = fill && catalogEntryOf(catalog, next);
+        return entry ? { ...next, ...catalogFill(entry, next) } : next;
+      }),
     }));
 
-  const removeRow = (i) =>
+  // a known MAXIMO NO. or item code fills the line's blank fields once it's settled (picked or left);
+  // not per keystroke, where "100245" on the way to "1002456" would fill in another item.
+  // Leaving the field is no edit, so it stays quiet for whoever can't change lines.
+  const pickedFromList = (e) => e.nativeEvent.inputType === "insertReplacementText";
+  const fillFromCatalog = (id) =>
+    access.can("lines") &&
+    setAndSave((s) => {
+      const r = s.items.find((x) => x.id === id);
+      const entry = r && catalogEntryOf(catalog, r);
+      const fill = entry ? catalogFill(entry, r) : {};
+      if (!Object.keys(fill).length) return s;
+      return { ...s, items: s.items.map((x) => (x.id === id ? { ...x, ...fill } : x)) };
+    });
+
+  // past release (and with users set up), a change to the PO total (price, QTY, discount, currency, VAT)
+  // is a request someone else approves
+  const priceLocked = !access.open && needsApproval(state);
+
+  // lineId null asks for a header field
+  const askApproval = (lineId, field) => {
+    if (!allowed(lineId ? "pricing" : "header")) return;
+    const r = lineId ? lineOf(lineId) : header;
+    const label = approvalLabel(field);
+    const where = lineId ? `line ${r.lineNo}` : "the PO";
+    const to = prompt(`New ${label} for ${where} (now ${r[field] || "blank"}):`, r[field]);
+    if (to === null || to.trim() === String(r[field]).trim()) return;
+    const reason = prompt(`Reason for changing the ${label} (shown to the approver):`);
+    if (reason === null) return;
+    if (!reason.trim()) return alert("A reason is required.");
+    setAndSave((s) => requestApproval(s, { lineId, field, to, reason }, who()), "approval request");
+  };
+
+  const decideChange = (id, approve) => {
+    const note = approve ? "" : prompt("Reason for rejecting the change:");
+    if (note === null) return;
+    setAndSave((s) => decideApproval(s, id, approve, who(), note), "approval");
+  };
+
+  const canDecide = (a) => access.can("approve") && (access.open || a.requestedById !== access.user?.id);
+
+  const addRow = () => setAndSave((s) => ({ ...s, items: [...s.items, defaultItem()] }));
+
+  const removeRow = (id) => {
+    const r = lineOf(id);
+    const filled = !isBlankItem(r) || [sales, shipments, supplierOrders].some((lists) => lists[id]?.length);
+    if (invoicedQtyOf(invoices, id) > 0) return alert(`Line ${r.lineNo} is on an invoice; delete the invoice first.`);
+    if (filled && !confirm(`Remove line ${r.lineNo}${r.item ? ` (${r.item})` : ""}? Ctrl+Z undoes it.`)) return;
     setAndSave((s) => {
       if (s.items.length === 1) return s;
-      const items = s.items.filter((_, x) => x !== i);
-      const sales = s.sales.filter((_, x) => x !== i);
-      return { ...s, items, sales };
+      return withItems(s, s.items.filter((x) => x.id !== id));
+    });
+  };
+
+  /* bulk row operations on the checked lines (line ids) */
+  const [selected, setSelected] = useState([]);
+  useEffect(() => setSelected([]), [state.id]);
+  const toggleSelected = (id) =>
+    setSelected((sel) => (sel.includes(id) ? sel.filter((x) => x !== id) : [...sel, id]));
+  const shownIds = rows.map((i) => items[i].id);
+  const allShownSelected = shownIds.length > 0 && shownIds.every((id) => selected.includes(id));
+  const toggleAllShown = () => setSelected(allShownSelected ? [] : shownIds);
+
+  const bulkDelete = () => {
+    const billed = selected.filter((id) => invoicedQtyOf(invoices, id) > 0);
+    if (billed.length) {
+      return alert(`Line(s) ${billed.map((id) => lineOf(id).lineNo).join(", ")} are on invoices; delete the invoices first.`);
+    }
+    if (!confirm(`Delete ${selected.length} line(s) with their sales and shipments? Ctrl+Z undoes it.`)) return;
+    setAndSave((s) => {
+      const keep = s.items.filter((r) => !selected.includes(r.id));
+      return withItems(s, keep.length ? keep : [defaultItem()]);
     });
+    setSelected([]);
+  };
+
+  // copies go right below their original and get new line numbers; logs are not copied
+  const bulkDuplicate = () => {
+    setAndSave((s) => ({
+      ...s,
+      items: s.items.flatMap((r) => (selected.includes(r.id) ? [r, copyItem(r)] : [r])),
+    }));
+    setSelected([]);
+  };
 
-  const clearAllItems = () =>
-    setAndSave((s) => ({ ...s, items: [defaultItem()], sales: [""] }));
+  const bulkEdit = (field, value) =>
+    setAndSave((s) => ({
+      ...s,
+      items: s.items.map((r) => (selected.includes(r.id) ? { ...r, [field]: value } : r)),
+    }));
+
+  // drag-and-drop reorder, for whoever may change lines (only in line order: a sorted view has no single place to drop into)
+  const [dragFrom, setDragFrom] = useState(null);
+  const [dragOver, setDragOver] = useState(null);
+  const canReorder = !view.sortKey && access.can("lines");
+  const dropRow = (to) => {
+    const from = dragFrom;
+    setDragFrom(null);
+    setDragOver(null);
+    if (from === null || from === to) return;
+    setAndSave((s) => ({ ...s, items: moveItem(s.items, from, to) }));
+  };
+
+  // a block copied from Excel fills the grid from the focused cell (unless it's read-only); rows past the end are added
+  const pasteCells = (e, id, field) => {
+    const text = e.clipboardData.getData("text/plain");
+    if (e.currentTarget.readOnly || !isGridPaste(text)) return;
+    e.preventDefault();
+    const grid = parseGrid(text);
+    if (!grid.length) return;
+    const targets = shownIds.slice(shownIds.indexOf(id));
+    const added = Array.from({ length: Math.max(grid.length - targets.length, 0) }, defaultItem);
+    setAndSave((s) => ({
+      ...s,
+      items: pasteGrid([...s.items, ...added], [...targets, ...added.map((r) => r.id)], field, grid),
+    }));
+  };
+
+  const clearAllItems = () => {
+    if (invoices.length) return alert("This PO has invoices; delete them before clearing the items.");
+    if (!confirm(`Delete all ${items.length} item(s) with their sales, shipments and supplier POs? Ctrl+Z undoes it.`)) return;
+    setAndSave((s) => withItems(s, [defaultItem()]));
+  };
+
+  // rows from a CSV/Excel import; replaced lines take their logs with them
+  const importItems = (rows, mode) => {
+    if (mode === "replace" && invoices.length) return alert("This PO has invoices; append the rows instead.");
+    const hasLogs = [sales, shipments, supplierOrders].some((lists) => Object.keys(lists).length > 0);
+    if (
+      mode === "replace" &&
+      hasLogs &&
+      !confirm("Replacing items also drops their recorded sales, shipments and supplier POs. Continue?")
+    ) return;
+    setAndSave((s) => {
+      // a lone untouched default row is dropped rather than kept above the import
+      const blank = s.items.length === 1 && isBlankItem(s.items[0]);
+      const keep = mode === "replace" || blank ? [] : s.items;
+      return withItems(s, [...keep, ...rows]);
+    });
+    setShowItemImport(false);
+  };
+
+  // per-line lists (sales, shipments, supplierOrders) by line id
+  const setLineList = (key, lineId, fn) =>
+    setAndSave((s) => ({ ...s, [key]: { ...s[key], [lineId]: fn(s[key][lineId] ?? []) } }));
+
+  // sales transactions per line
+  const setRowSales = (lineId, fn) => setLineList("sales", lineId, fn);
+
+  const addSale = (lineId) =>
+    setRowSales(lineId, (txs) => [...txs, { ...defaultSale(), date: new Date().toISOString().slice(0, 10) }]);
+
+  const updateSale = (lineId, id, k, v) => {
+    let nextVal = v;
+    if (k === "qty") {
+      // clamp so the row's total sold never exceeds its QTY
+      const typed = v; // keep as string
+      const otherSold = soldQtyOf((sales[lineId] ?? []).filter((t) => t.id !== id));
+      const maxN = Math.max(qtyOf(lineOf(lineId)) - otherSold, 0);
+      const soldN = Math.min(maxN, Math.max(parseNum(typed), 0));
+      nextVal = parseNum(typed) !== soldN ? String(soldN) : typed;
+    }
+    setRowSales(lineId, (txs) => txs.map((t) => (t.id === id ? { ...t, [k]: nextVal } : t)));
+  };
+
+  // invoices bill remaining quantities: each line is also booked as a (read-only) sale on its line
+  const issueInvoice = ({ date, dueDate, notes, lines }) => {
+    const inv = {
+      ...defaultInvoice(),
+      number: nextInvoiceNumber(pos, date),
+      date,
+      dueDate,
+      notes,
+      currency: header.currency,
+      taxRate: header.taxRate,
+      lines,
+    };
+    setAndSave((s) => ({
+      ...s,
+      invoices: [...s.invoices, inv],
+      sales: lines.reduce(
+        (acc, l) => ({
+          ...acc,
+          [l.lineId]: [
+            ...(acc[l.lineId] ?? []),
+            { ...defaultSale(), date, qty: l.qty, docNo: inv.number, invoiceId: inv.id },
+          ],
+        }),
+        s.sales
+      ),
+    }));
+  };
+
+  const deleteInvoice = (id) => {
+    const inv = invoices.find((x) => x.id === id);
+    if (!inv || !confirm(`Delete invoice ${inv.number}? Its quantities go back to Remaining.`)) return;
+    setAndSave((s) => ({
+      ...s,
+      invoices: s.invoices.filter((x) => x.id !== id),
+      sales: Object.fromEntries(
+        Object.entries(s.sales).map(([lineId, txs]) => [lineId, txs.filter((t) => t.invoiceId !== id)])
+      ),
+    }));
+  };
+
+  const setInvoicePayments = (id, fn) =>
+    setAndSave((s) => ({
+      ...s,
+      invoices: s.invoices.map((inv) => (inv.id === id ? { ...inv, payments: fn(inv.payments, inv) } : inv)),
+    }));
+
+  const addPayment = (id) =>
+    setInvoicePayments(id, (list, inv) => [
+      ...list,
+      {
+        ...defaultPayment(),
+        date: new Date().toISOString().slice(0, 10),
+        amount: money(invoiceAmountsOf(inv).balance, inv.currency),
+      },
+    ]);
+
+  const updatePayment = (id, pid, k, v) =>
+    setInvoicePayments(id, (list, inv) =>
+      list.map((p) => {
+        if (p.id !== pid) return p;
+        if (k !== "amount") return { ...p, [k]: v };
+        // clamp so payments never exceed the invoice total
+        const maxN = invoiceAmountsOf(inv).balance + parseNum(p.amount);
+        const n = Math.min(maxN, Math.max(parseNum(v), 0));
+        return { ...p, amount: parseNum(v) !== n ? money(n, inv.currency) : v };
+      })
+    );
+
+  const removePayment = (id, pid) => setInvoicePayments(id, (list) => list.filter((p) => p.id !== pid));
+
+  const removeSale = (lineId, id) =>
+    setRowSales(lineId, (txs) => txs.filter((t) => t.id !== id));
+
+  // partial shipments per line
+  const setRowShipments = (lineId, fn) => setLineList("shipments", lineId, fn);
+
+  // shipping needs the TPI release note first: no new shipments, quantities or dates until it's attached
+  const tpiHold = (lineId) => {
+    if (!missingTpi.includes(lineId)) return false;
+    const r = lineOf(lineId);
+    alert(`Line ${r.lineNo} needs a TPI release note (${r.tpi}) in Documents before it can ship.`);
+    return true;
+  };
+
+  const addShipment = (lineId) => {
+    if (tpiHold(lineId)) return;
+    setRowShipments(lineId, (list) => [
+      ...list,
+      { ...defaultShipment(), shippedDate: new Date().toISOString().slice(0, 10) },
+    ]);
+  };
+
+  const updateShipment = (lineId, id, k, v) => {
+    if (["qty", "shippedDate", "receivedDate"].includes(k) && tpiHold(lineId)) return;
+    let nextVal = v;
+    if (k === "qty") {
+      // clamp so the row's total shipped never exceeds its QTY
+      const otherShipped = shippedQtyOf((shipments[lineId] ?? []).filter((s) => s.id !== id));
+      const maxN = Math.max(qtyOf(lineOf(lineId)) - otherShipped, 0);
+      const shippedN = Math.min(maxN, Math.max(parseNum(v), 0));
+      nextVal = parseNum(v) !== shippedN ? String(shippedN) : v;
+    }
+    setRowShipments(lineId, (list) => list.map((s) => (s.id === id ? { ...s, [k]: nextVal } : s)));
+  };
+
+  const removeShipment = (lineId, id) =>
+    setRowShipments(lineId, (list) => list.filter((s) => s.id !== id));
+
+  // supplier POs per line
+  const setRowOrders = (lineId, fn) => setLineList("supplierOrders", lineId, fn);
+
+  // a new supplier PO starts with whatever QTY of the line is not ordered yet
+  const addSupplierOrder = (lineId) =>
+    setRowOrders(lineId, (list) => {
+      const open = Math.max(qtyOf(lineOf(lineId)) - orderedQtyOf(list), 0);
+      return [...list, { ...defaultSupplierOrder(), qty: open ? String(open) : "", currency: header.currency }];
+    });
+
+  const updateSupplierOrder = (lineId, id, k, v) =>
+    setRowOrders(lineId, (list) => list.map((o) => (o.id === id ? { ...o, [k]: v } : o)));
+
+  const removeSupplierOrder = (lineId, id) =>
+    setRowOrders(lineId, (list) => list.filter((o) => o.id !== id));
+
+  // documents: the file goes to IndexedDB first, then its metadata joins the PO
+  const addAttachments = async (files, type, lineId) => {
+    const added = [];
+    for (const f of files) {
+      const a = { ...defaultAttachment(), lineId, type, name: f.name, mime: f.type, size: f.size, addedAt: new Date().toISOString() };
+      await putFile(a.id, f);
+      added.push(a);
+    }
+    setAndSave((s) => ({ ...s, attachments: [...s.attachments, ...added] }));
+  };
+
+  const retagAttachment = (id, type) =>
+    setAndSave((s) => ({ ...s, attachments: s.attachments.map((a) => (a.id === id ? { ...a, type } : a)) }));
+
+  const removeAttachment = (id) => {
+    const a = attachments.find((x) => x.id === id);
+    if (!a || !confirm(`Remove "${a.name}"? Ctrl+Z undoes it.`)) return;
+    setAndSave((s) => ({ ...s, attachments: s.attachments.filter((x) => x.id !== id) }));
+  };
 
   // Export/Import/Clear storage
   const exportJSON = () => {
     try {
-      const blob = new Blob([JSON.stringify(state, null, 2)], { type: "application/json" });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      const name = `purchase-order-${state.header.poNumber || "draft"}.json`;
-      a.href = url; a.download = name; a.click();
-      URL.revokeObjectURL(url);
+      const blob = new Blob([JSON.stringify({ schemaVersion: SCHEMA_VERSION, ...state }, null, 2)], {
+        type: "application/json",
+      });
+      downloadBlob(blob, `purchase-order-${fileSlug(state.header.poNumber)}.json`);
+    } catch (e) {
+      alert("Export failed: " + e.message);
+    }
+  };
+
+  // CSV per table ("csv:purchase") or one Excel workbook with all tables ("xlsx")
+  const exportReport = async (what) => {
+    try {
+      if (what === "xlsx") await exportReportXLSX(state);
+      else exportReportCSV(state, what.replace("csv:", ""));
     } catch (e) {
       alert("Export failed: " + e.message);
     }
   };
 
+  // a JSON file is migrated and checked first; nothing changes until its preview is confirmed
+  const [jsonImport, setJsonImport] = useState(null); // { name, version, po, errors }
+
   const importJSON = async (file) => {
     try {
-      const text = await file.text();
-      const data = JSON.parse(text);
-      if (!data || !data.header || !Array.isArray(data.items)) {
-        return alert("Invalid PO file.");
-      }
-      // normalize to string fields
-      const migrated = {
-        ...data,
-        items: data.items.map((r) => ({
-          maximoNo: r.maximoNo ?? "",
-          item: r.item ?? "",
-          description: r.description ?? "",
-          tpi: r.tpi ?? "",
-          material: r.material ?? "",
-          grade: r.grade ?? "",
-          unitCode: r.unitCode ?? "",
-          qty: r.qty ?? r.ltsaQty ?? "",
-          unitPrice: r.unitPrice ?? "",
-        })),
-        sales: Array.isArray(data.sales)
-          ? data.sales.map((s) => (s == null ? "" : String(s)))
-          : [],
-      };
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(migrated));
-      setState(migrated);
-      setSavedFlag(true);
-      setTimeout(() => setSavedFlag(false), 800);
+      const data = JSON.parse(await file.text());
+      const isPO = data !== null && typeof data === "object" && !Array.isArray(data);
+      const migrated = isPO ? migratePO(data) : data;
+      const errors = schemaErrors(migrated);
+      setJsonImport({
+        name: file.name,
+        version: isPO && Number.isInteger(data.schemaVersion) ? data.schemaVersion : null,
+        po: errors.length ? null : normalizePO(migrated, SCHEMA_VERSION),
+        errors,
+      });
     } catch (e) {
       alert("Import failed: " + e.message);
     }
   };
 
+  // the open PO keeps its place in the register and its audit trail; the file supplies everything else
+  const replaceWithImport = () => {
+    const { po } = jsonImport;
+    setAndSave(
+      (s) => ({ ...po, id: s.id, archived: s.archived, createdAt: s.createdAt, updatedAt: s.updatedAt, auditLog: s.auditLog }),
+      "import"
+    );
+    setJsonImport(null);
+  };
+
+  const addImportAsNew = () => {
+    if (!allowed("register")) return;
+    const entry = makeEntry(jsonImport.po);
+    setRegisterAndSave((reg) => ({ ...reg, activeId: entry.id, pos: [...reg.pos, entry] }));
+    setJsonImport(null);
+    setTab("purchase");
+  };
+
+  // with a server, only this browser's copy goes and the server's POs are loaded again
   const clearStorage = () => {
-    if (confirm("Clear saved PO from this browser?")) {
-      localStorage.removeItem(STORAGE_KEY);
-      newPO();
+    const question = serverUrl
+      ? "Clear the POs saved in this browser and reload them from the server? Changes not yet sent are lost."
+      : "Clear ALL saved POs from this browser?";
+    if (confirm(question)) {
+      if (serverUrl) sync.forget();
+      clearRegister();
+      lockedRef.current = false;
+      setLoadError("");
+      setSaveError("");
+      const entry = makeEntry(defaultState());
+      setRegisterAndSave({ activeId: entry.id, pos: [entry] });
+      if (serverUrl) sync.syncNow();
+      setTab("purchase");
     }
   };
 
+  // print once the chosen document has rendered; drop it again when the dialog closes
+  useEffect(() => {
+    if (!printDoc) return;
+    const done = () => setPrintDoc(null);
+    window.addEventListener("afterprint", done);
+    const t = setTimeout(() => window.print(), 0);
+    return () => {
+      clearTimeout(t);
+      window.removeEventListener("afterprint", done);
+    };
+  }, [printDoc]);
+
   // Tabs
-  const [tab, setTab] = useState("purchase"); // purchase | sales | remaining
-  const salesEnabled = header.status === "Invoiced" || header.status === "Completed";
+  const salesEnabled = isAtOrPast(header.status, "Invoiced");
 
   /* ---------- UI ---------- */
   return (
-    <div className="po-page">
+    <div className={`po-page ${printDoc ? "po-page--printing" : ""}`}>
       {/* top bar with New PO + Saved indicator */}
       <div className="po-topbar">
         <div className="po-tabs">
+          <button
+            className={`po-tab ${tab === "register" ? "active" : ""}`}
+            onClick={() => setTab("register")}
+          >
+            All POs ({pos.filter((p) => !p.archived).length})
+          </button>
           <button
             className={`po-tab ${tab === "purchase" ? "active" : ""}`}
             onClick={() => setTab("purchase")}
           >
             Purchase
           </button>
-        <button
+          <button
+            className={`po-tab ${tab === "supplier" ? "active" : ""}`}
+            onClick={() => setTab("supplier")}
+          >
+            Supplier &amp; Margin
+          </button>
+          <button
+            className={`po-tab ${tab === "deliveries" ? "active" : ""}`}
+            onClick={() => setTab("deliveries")}
+          >
+            Deliveries
+          </button>
+          <button
             className={`po-tab ${tab === "sales" ? "active" : ""}`}
             onClick={() => setTab("sales")}
             disabled={!salesEnabled}
@@ -314,11 +944,61 @@ export default function PurchaseOrderEditor() {
           >
             Remaining
           </button>
+          <button
+            className={`po-tab ${tab === "documents" ? "active" : ""}`}
+            onClick={() => setTab("documents")}
+          >
+            Documents ({attachments.length})
+          </button>
+          <button
+            className={`po-tab ${tab === "deadlines" ? "active" : ""}`}
+            onClick={() => setTab("deadlines")}
+          >
+            Deadlines
+          </button>
+          <button
+            className={`po-tab ${tab === "audit" ? "active" : ""}`}
+            onClick={() => setTab("audit")}
+          >
+            Audit
+          </button>
+          <button
+            className={`po-tab ${tab === "contracts" ? "active" : ""}`}
+            onClick={() => setTab("contracts")}
+          >
+            Contracts
+          </button>
+          <button
+            className={`po-tab ${tab === "dashboard" ? "active" : ""}`}
+            onClick={() => setTab("dashboard")}
+          >
+            Dashboard
+          </button>
+          <button
+            className={`po-tab ${tab === "master" ? "active" : ""}`}
+            onClick={() => setTab("master")}
+          >
+            Master Data
+          </button>
         </div>
         <div className="po-top-actions">
-          <button className="po-btn" onClick={newPO}>＋ New PO</button>
+          <button className="po-btn ghost" onClick={undo} disabled={!canUndo(register)} title="Undo (Ctrl+Z)">↶</button>
+          <button className="po-btn ghost" onClick={redo} disabled={!canRedo(register)} title="Redo (Ctrl+Shift+Z)">↷</button>
+          <button className="po-btn" onClick={newPO} disabled={ro("register")}>＋ New PO</button>
 
           <button className="po-btn" onClick={exportJSON}>Export</button>
+          <select
+            className="po-select po-select--compact"
+            value=""
+            onChange={(e) => e.target.value && exportReport(e.target.value)}
+            title="Export tables for finance / warehouse"
+          >
+            <option value="">Export Report…</option>
+            {Object.entries(REPORTS).map(([k, label]) => (
+              <option key={k} value={`csv:${k}`}>{label} (CSV)</option>
+            ))}
+            <option value="xlsx">All tables (Excel)</option>
+          </select>
           <label className="po-btn" style={{ display: "inline-flex", alignItems: "center", gap: 6, cursor: "pointer" }}>
             Import
             <input
@@ -334,13 +1014,108 @@ export default function PurchaseOrderEditor() {
           </label>
           <button className="po-btn danger" onClick={clearStorage}>Clear Saved</button>
 
-          <button className="po-btn outline" onClick={() => window.print()}>
+          <button className="po-btn outline" onClick={() => setPrintDoc("po")}>
             Print / Save PDF
           </button>
-          <span className={`po-save-ind ${savedFlag ? "show" : ""}`}>Saved ✓</span>
+          <button className="po-btn outline" onClick={() => setPrintDoc("delivery")}>
+            Delivery Note
+          </button>
+          <UserSwitch users={users} currentId={userId} onSwitch={switchUser} />
+          {saveError ? (
+            <span
+              className="po-save-ind show error"
+              title="Free up space (archive or delete old POs, remove large attachments) or export a backup"
+            >
+              {saveError}
+            </span>
+          ) : (
+            <span className={`po-save-ind ${savedFlag ? "show" : ""}`}>Saved ✓</span>
+          )}
+          <SyncStatus sync={sync} onOpen={() => setTab("master")} />
         </div>
       </div>
 
+      {loadError && (
+        <div className="po-alert" style={{ borderLeftColor: "var(--error)" }}>
+          <b className="po-error-text">⚠ The saved POs could not be read: {loadError}</b>
+          <p className="po-note">
+            They are left untouched and nothing you change here is saved. Reload once the app has updated,
+            or use Clear Saved to start over without them.
+          </p>
+        </div>
+      )}
+
+      {jsonImport && (
+        <POImportPreview
+          file={jsonImport}
+          current={state}
+          onReplace={replaceWithImport}
+          onAddNew={addImportAsNew}
+          onClose={() => setJsonImport(null)}
+        />
+      )}
+
+      {tab === "deadlines" && (
+        <DeadlinesDashboard
+          pos={pos}
+          thresholds={thresholds}
+          onThresholds={updateThresholds}
+          onOpen={openPO}
+        />
+      )}
+
+      {tab === "audit" && <AuditLog po={state} signedIn={access.open ? "" : whoLabel(access)} />}
+
+      {tab === "contracts" && <ContractDashboard master={master} pos={pos} />}
+
+      {tab === "dashboard" && <ReportDashboard pos={pos} />}
+
+      {tab === "master" && (
+        <>
+          <fieldset className="po-fieldset" disabled={ro("master")}>
+            <MasterData master={master} onChange={(fn) => access.can("master") && setMasterAndSave(fn)} />
+          </fieldset>
+          <ItemCatalog
+            catalog={catalog}
+            history={priceHistory}
+            canEdit={access.can("catalog")}
+            onChange={(fn) => access.can("catalog") && setCatalogAndSave(fn)}
+            onHarvest={harvest}
+          />
+          <UserAdmin
+            users={users}
+            currentId={userId}
+            canEdit={access.can("users")}
+            onChange={setUsersAndSave}
+            onSwitch={switchUser}
+          />
+          <ServerSettings url={serverUrl} sync={sync} onConnect={connectServer} />
+        </>
+      )}
+
+      {tab === "documents" && (
+        <AttachmentsPanel
+          po={state}
+          canEdit={access.can("documents")}
+          onAdd={addAttachments}
+          onRetag={retagAttachment}
+          onRemove={removeAttachment}
+        />
+      )}
+
+      {tab === "register" && (
+        <PORegister
+          pos={pos}
+          activeId={state.id}
+          warnDays={thresholds.warnDays}
+          canEdit={access.can("register")}
+          onOpen={openPO}
+          onDuplicate={duplicatePO}
+          onArchive={archivePO}
+          onDelete={deletePO}
+        />
+      )}
+
       {tab === "purchase" && (
         <>
           {/* header card */}
@@ -348,18 +1123,22 @@ export default function PurchaseOrderEditor() {
             <header className="po-card__header">
               <h2 className="po-title">Purchase Order (Edit)</h2>
 
-              {/* Option picker kept for convenience. You can type over the fields below anyway */}
+              {/* LTSA picker from master data. You can type over the fields below anyway */}
               <select
                 className="po-select"
-                value={option}
-                onChange={(e) => setAndSave((s) => ({ ...s, option: e.target.value }))}
+                value={contract ? option : ""}
+                onChange={(e) => selectContract(e.target.value)}
+                disabled={ro("contract")}
                 title="Select Beneficiary/LTSA"
               >
-                {Object.entries(BENEFICIARY_OPTIONS).map(([k, v]) => (
-                  <option key={k} value={k}>
-                    {v.label}
-                  </option>
-                ))}
+                {!contract && <option value="">— select LTSA —</option>}
+                {master.contracts
+                  .filter((c) => !c.retired || c.id === option)
+                  .map((c) => (
+                    <option key={c.id} value={c.id}>
+                      {contractLabel(master, c)}
+                    </option>
+                  ))}
               </select>
             </header>
 
@@ -369,40 +1148,40 @@ export default function PurchaseOrderEditor() {
 
             <div className="po-grid">
               <label className="po-label">Beneficiary</label>
-              <input
-                className="po-input"
-                value={header.beneficiaryName}
-                onChange={(e) => updateHeader({ beneficiaryName: e.target.value })}
-              />
+              <div className="po-field">
+                <input
+                  className={invalid(validation.header.beneficiaryName)}
+                  value={header.beneficiaryName}
+                  readOnly={ro("contract")}
+                  onChange={(e) => updateHeader({ beneficiaryName: e.target.value })}
+                />
+                <FieldError msg={validation.header.beneficiaryName} />
+              </div>
 
               <label className="po-label">PO Number</label>
-              <input
-                className="po-input"
-                value={header.poNumber}
-                onChange={(e) => updateHeader({ poNumber: e.target.value })}
-              />
+              <div className="po-field">
+                <input
+                  className={invalid(validation.header.poNumber)}
+                  value={header.poNumber}
+                  readOnly={ro("header")}
+                  onChange={(e) => updateHeader({ poNumber: e.target.value })}
+                />
+                <FieldError msg={validation.header.poNumber} />
+              </div>
 
               <label className="po-label">LTSA Number</label>
-              <input
-                className="po-input"
-                value={header.ltsaNumber}
-                onChange={(e) => updateHeader({ ltsaNumber: e.target.value })}
-              />
+              <div className="po-field">
+                <input
+                  className={invalid(validation.header.ltsaNumber)}
+                  value={header.ltsaNumber}
+                  readOnly={ro("contract")}
+                  onChange={(e) => updateHeader({ ltsaNumber: e.target.value })}
+                />
+                <FieldError msg={validation.header.ltsaNumber} />
+              </div>
 
               <label className="po-label">Status</label>
               <div className="po-status-wrap">
-                <input
-                  className="po-input"
-                  value={header.status}
-                  onChange={(e) => updateHeader({ status: e.target.value })}
-                  list="status-list"
-                  placeholder="Type a status"
-                />
-                <datalist id="status-list">
-                  {STATUS_STEPS.map((s) => (
-                    <option key={s} value={s} />
-                  ))}
-                </datalist>
                 <span
                   className="po-badge"
                   style={{ background: statusColor(header.status) }}
@@ -415,169 +1194,464 @@ export default function PurchaseOrderEditor() {
               <textarea
                 className="po-input po-textarea"
                 value={header.ltsaDescription}
+                readOnly={ro("contract")}
                 onChange={(e) => updateHeader({ ltsaDescription: e.target.value })}
               />
 
               <label className="po-label">Date of Issue</label>
-              <input
-                className="po-input"
-                value={header.dateOfIssue}
-                onChange={(e) => updateHeader({ dateOfIssue: e.target.value })}
-                placeholder="YYYY-MM-DD"
-              />
+              <div className="po-field">
+                <input
+                  className={invalid(validation.header.dateOfIssue)}
+                  value={header.dateOfIssue}
+                  readOnly={ro("header")}
+                  onChange={(e) => updateHeader({ dateOfIssue: e.target.value })}
+                  placeholder="YYYY-MM-DD"
+                />
+                <FieldError msg={validation.header.dateOfIssue} />
+              </div>
 
               <label className="po-label">Required on Site Date</label>
-              <input
-                className="po-input"
-                value={header.siteDate}
-                onChange={(e) => updateHeader({ siteDate: e.target.value })}
-                placeholder="YYYY-MM-DD"
-              />
+              <div className="po-field">
+                <input
+                  className={invalid(validation.header.siteDate)}
+                  value={header.siteDate}
+                  readOnly={ro("header")}
+                  onChange={(e) => updateHeader({ siteDate: e.target.value })}
+                  placeholder="YYYY-MM-DD"
+                />
+                <FieldError msg={validation.header.siteDate} />
+              </div>
 
               <label className="po-label">Required Franco Date</label>
-              <input
-                className="po-input"
-                value={header.francoDate}
-                onChange={(e) => updateHeader({ francoDate: e.target.value })}
-                placeholder="YYYY-MM-DD"
-              />
+              <div className="po-field">
+                <input
+                  className={invalid(validation.header.francoDate)}
+                  value={header.francoDate}
+                  readOnly={ro("header")}
+                  onChange={(e) => updateHeader({ francoDate: e.target.value })}
+                  placeholder="YYYY-MM-DD"
+                />
+                <FieldError msg={validation.header.francoDate} />
+              </div>
+
+              <label className="po-label">Currency / VAT %</label>
+              <div className="po-status-wrap">
+                <select
+                  className="po-select"
+                  value={cur}
+                  disabled={priceLocked || ro("header")}
+                  onChange={(e) => updateHeader({ currency: e.target.value })}
+                >
+                  {Object.entries(CURRENCIES).map(([code, c]) => (
+                    <option key={code} value={code}>
+                      {code} – {c.name} ({c.decimals} dp)
+                    </option>
+                  ))}
+                </select>
+                <input
+                  className={invalid(validation.header.taxRate)}
+                  title={validation.header.taxRate || ""}
+                  value={header.taxRate}
+                  readOnly={priceLocked || ro("header")}
+                  onChange={(e) => updateHeader({ taxRate: e.target.value })}
+                  placeholder="VAT %, blank = none"
+                />
+                {priceLocked && access.can("header") && (
+                  <>
+                    <ChangeRequest
+                      pending={pendingApprovalOf(state, null, "currency")}
+                      onRequest={() => askApproval(null, "currency")}
+                      label="Currency"
+                    />
+                    <ChangeRequest
+                      pending={pendingApprovalOf(state, null, "taxRate")}
+                      onRequest={() => askApproval(null, "taxRate")}
+                      label="VAT %"
+                    />
+                  </>
+                )}
+              </div>
+
+              <label className="po-label">Reporting Currency</label>
+              <div className="po-status-wrap">
+                <select
+                  className="po-select"
+                  value={header.reportingCurrency}
+                  disabled={ro("header")}
+                  onChange={(e) => updateHeader({ reportingCurrency: e.target.value })}
+                >
+                  <option value="">— none —</option>
+                  {Object.keys(CURRENCIES)
+                    .filter((code) => code !== cur)
+                    .map((code) => (
+                      <option key={code} value={code}>{code}</option>
+                    ))}
+                </select>
+                <input
+                  className={invalid(validation.header.exchangeRate)}
+                  title={validation.header.exchangeRate || ""}
+                  value={header.exchangeRate}
+                  readOnly={ro("header")}
+                  onChange={(e) => updateHeader({ exchangeRate: e.target.value })}
+                  placeholder={`1 ${cur} = ? ${header.reportingCurrency || "…"}`}
+                  disabled={!header.reportingCurrency}
+                />
+              </div>
             </div>
 
+            <StatusStepper
+              status={header.status}
+              history={state.statusHistory || []}
+              canMove={(to) => access.can(statusGroup(header.status, to))}
+              onChange={changeStatus}
+            />
+
+            {ltsaWarning && (
+              <div className="po-alert" style={{ borderLeftColor: "var(--warn)" }}>
+                <span style={{ color: "var(--warn)" }}>⚠ {ltsaWarning}</span>
+              </div>
+            )}
+
+            {ceilingAlert && (
+              <div className="po-alert" style={{ borderLeftColor: "var(--error)" }}>
+                <b className="po-error-text">⚠ {ceilingAlert}</b>
+              </div>
+            )}
+
             <div className="po-alert" style={{ borderColor: francoInfo.color }}>
               <span style={{ color: francoInfo.color }}>{francoInfo.text}</span>
             </div>
+
+            <div
+              className="po-alert"
+              style={{ borderLeftColor: validation.count ? "var(--error)" : "var(--success)" }}
+            >
+              {validation.count ? (
+                <>
+                  <b className="po-error-text">
+                    {validation.count} validation issue(s) — status cannot move past “{header.status}”
+                    until they are fixed.
+                  </b>
+                  <ul className="po-history">
+                    {validation.summary.map((msg, i) => <li key={i}>{msg}</li>)}
+                  </ul>
+                </>
+              ) : (
+                <span style={{ color: "var(--success)" }}>PO passes all validation checks ✓</span>
+              )}
+            </div>
           </section>
 
+          {showItemImport && (
+            <ItemImport onImport={importItems} onClose={() => setShowItemImport(false)} />
+          )}
+
+          <ApprovalPanel po={state} locked={priceLocked} canDecide={canDecide} onDecide={decideChange} />
+
           {/* items card — all inputs are plain text, with TPI/Material/Grade/Unit Code */}
           <section className="po-card">
+            <datalist id="po-catalog-maximo">
+              {catalogList.map((e) => (
+                <option key={e.maximoNo} value={e.maximoNo}>{[e.item, e.description].filter(Boolean).join(" – ")}</option>
+              ))}
+            </datalist>
+            <datalist id="po-catalog-item">
+              {catalogItemCodes.map((code) => <option key={code} value={code} />)}
+            </datalist>
             <div className="po-card__header">
               <h3 className="po-title">Items</h3>
-              <div className="po-actions">
-                <button className="po-btn" onClick={addRow}>+ Add Item</button>
-                <button className="po-btn danger" onClick={clearAllItems}>Delete All</button>
-              </div>
+              {access.can("lines") && (
+                <div className="po-actions">
+                  <button className="po-btn" onClick={addRow}>+ Add Item</button>
+                  <button className="po-btn" onClick={() => setShowItemImport(true)}>Import CSV / Excel</button>
+                  <button className="po-btn danger" onClick={clearAllItems}>Delete All</button>
+                </div>
+              )}
             </div>
 
-            <div className="po-table-wrap">
+            {filters}
+
+            {selected.length > 0 && access.can("lines") && (
+              <BulkBar
+                count={selected.length}
+                onDuplicate={bulkDuplicate}
+                onDelete={bulkDelete}
+                onEdit={bulkEdit}
+                onClear={() => setSelected([])}
+              />
+            )}
+
+            <div
+              ref={itemsWindow.ref}
+              className={`po-table-wrap ${itemsWindow.enabled ? "po-table-wrap--virtual" : ""}`}
+            >
               <table className="po-table">
                 <thead>
                   <tr>
-                    <th>MAXIMO NO.</th>
-                    <th>Item</th>
-                    <th>ITEM DESCRIPTION</th>
-                    <th>TPI</th>
-                    <th>Material</th>
-                    <th>Grade</th>
-                    <th>UNIT CODE</th>
-                    <th>QTY</th>
-                    <th>UNIT PRICE</th>
-                    <th>LINE TOTAL</th>
+                    <th>
+                      <input
+                        type="checkbox"
+                        checked={allShownSelected}
+                        onChange={toggleAllShown}
+                        title="Select all shown lines"
+                      />
+                    </th>
+                    <th />
+                    {sortTh("lineNo", "#")}
+                    {sortTh("maximoNo", "MAXIMO NO.")}
+                    {sortTh("item", "Item")}
+                    {sortTh("description", "ITEM DESCRIPTION")}
+                    {sortTh("tpi", "TPI")}
+                    {sortTh("material", "Material")}
+                    {sortTh("grade", "Grade")}
+                    {sortTh("unitCode", "UNIT CODE")}
+                    {sortTh("qty", "QTY")}
+                    {sortTh("unitPrice", "UNIT PRICE")}
+                    {sortTh("discountPct", "DISC %")}
+                    {sortTh("lineTotal", `LINE TOTAL (${cur})`)}
                     <th>Action</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {items.map((r, i) => (
-                    <tr key={i}>
-                      <td data-label="MAXIMO NO.">
-                        <input
-                          className="po-input"
-                          value={r.maximoNo}
-                          onChange={(e) => updateItem(i, "maximoNo", e.target.value)}
-                          placeholder="e.g., 1002456"
-                        />
-                      </td>
+                  {itemsWindow.before > 0 && <tr aria-hidden style={{ height: itemsWindow.before }} />}
+                  {visible(itemsWindow).map((i) => {
+                    const r = items[i];
+                    const mismatch = mismatchesOf(catalogEntryOf(catalog, r), r);
+                    const quotes = quotesOf(r);
+                    return (
+                      <tr
+                        key={r.id}
+                        className={`${selected.includes(r.id) ? "po-row-active" : ""} ${dragOver === r.id ? "po-row-dragover" : ""}`}
+                        onDragOver={(e) => {
+                          if (dragFrom === null) return;
+                          e.preventDefault();
+                          setDragOver(r.id);
+                        }}
+                        onDrop={() => dropRow(r.id)}
+                      >
+                        <td data-label="Select">
+                          <input
+                            type="checkbox"
+                            checked={selected.includes(r.id)}
+                            onChange={() => toggleSelected(r.id)}
+                          />
+                        </td>
+                        <td
+                          className="po-drag"
+                          draggable={canReorder}
+                          onDragStart={() => setDragFrom(r.id)}
+                          onDragEnd={() => { setDragFrom(null); setDragOver(null); }}
+                          title={canReorder ? "Drag to reorder" : view.sortKey ? "Clear the sort to reorder lines" : ""}
+                        >
+                          ⋮⋮
+                        </td>
+                        <td data-label="#" className="nowrap po-muted">{r.lineNo}</td>
+                        <td data-label="MAXIMO NO.">
+                          <input
+                            className={invalid(validation.items[i]?.maximoNo)}
+                            value={r.maximoNo}
+                            readOnly={ro("lines")}
+                            onChange={(e) => updateItem(r.id, "maximoNo", e.target.value, pickedFromList(e))}
+                            onBlur={() => fillFromCatalog(r.id)}
+                            onPaste={(e) => pasteCells(e, r.id, "maximoNo")}
+                            placeholder="e.g., 1002456"
+                            list="po-catalog-maximo"
+                          />
+                          <FieldError msg={validation.items[i]?.maximoNo} />
+                        </td>
 
-                      <td data-label="Item">
-                        <input
-                          className="po-input"
-                          value={r.item}
-                          onChange={(e) => updateItem(i, "item", e.target.value)}
-                          placeholder="Item code/name"
-                        />
-                      </td>
+                        <td data-label="Item">
+                          <input
+                            className={invalid(validation.items[i]?.item)}
+                            value={r.item}
+                            readOnly={ro("lines")}
+                            onChange={(e) => updateItem(r.id, "item", e.target.value, pickedFromList(e))}
+                            onBlur={() => fillFromCatalog(r.id)}
+                            onPaste={(e) => pasteCells(e, r.id, "item")}
+                            placeholder="Item code/name"
+                            list="po-catalog-item"
+                          />
+                          <FieldError msg={validation.items[i]?.item} />
+                        </td>
 
-                      <td data-label="ITEM DESCRIPTION" className="col-wide">
-                        <input
-                          className="po-input"
-                          value={r.description}
-                          onChange={(e) => updateItem(i, "description", e.target.value)}
-                          placeholder="Detailed description"
-                        />
-                      </td>
+                        <td data-label="ITEM DESCRIPTION" className="col-wide">
+                          <input
+                            className={invalid(validation.items[i]?.description)}
+                            value={r.description}
+                            readOnly={ro("lines")}
+                            onChange={(e) => updateItem(r.id, "description", e.target.value)}
+                            onPaste={(e) => pasteCells(e, r.id, "description")}
+                            placeholder="Detailed description"
+                          />
+                          <FieldError msg={validation.items[i]?.description} />
+                          <CatalogMismatch value={mismatch.description} />
+                        </td>
 
-                      <td data-label="TPI">
-                        <input
-                          className="po-input"
-                          value={r.tpi}
-                          onChange={(e) => updateItem(i, "tpi", e.target.value)}
-                          placeholder="e.g., BV / LR / ABS"
-                        />
-                      </td>
+                        <td data-label="TPI">
+                          <input
+                            className={invalid(validation.items[i]?.tpi)}
+                            value={r.tpi}
+                            readOnly={ro("lines")}
+                            onChange={(e) => updateItem(r.id, "tpi", e.target.value)}
+                            onPaste={(e) => pasteCells(e, r.id, "tpi")}
+                            placeholder="e.g., BV / LR / ABS"
+                          />
+                          <FieldError msg={validation.items[i]?.tpi} />
+                        </td>
 
-                      <td data-label="Material">
-                        <input
-                          className="po-input"
-                          value={r.material}
-                          onChange={(e) => updateItem(i, "material", e.target.value)}
-                          placeholder="e.g., CS / SS316"
-                        />
-                      </td>
+                        <td data-label="Material">
+                          <input
+                            className={invalid(validation.items[i]?.material)}
+                            value={r.material}
+                            readOnly={ro("lines")}
+                            onChange={(e) => updateItem(r.id, "material", e.target.value)}
+                            onPaste={(e) => pasteCells(e, r.id, "material")}
+                            placeholder="e.g., CS / SS316"
+                          />
+                          <FieldError msg={validation.items[i]?.material} />
+                        </td>
 
-                      <td data-label="Grade">
-                        <input
-                          className="po-input"
-                          value={r.grade}
-                          onChange={(e) => updateItem(i, "grade", e.target.value)}
-                          placeholder="e.g., A105 / A182 F316"
-                        />
-                      </td>
+                        <td data-label="Grade">
+                          <input
+                            className={invalid(validation.items[i]?.grade)}
+                            value={r.grade}
+                            readOnly={ro("lines")}
+                            onChange={(e) => updateItem(r.id, "grade", e.target.value)}
+                            onPaste={(e) => pasteCells(e, r.id, "grade")}
+                            placeholder="e.g., A105 / A182 F316"
+                          />
+                          <FieldError msg={validation.items[i]?.grade} />
+                          <CatalogMismatch value={mismatch.grade} />
+                        </td>
 
-                      <td data-label="UNIT CODE">
-                        <input
-                          className="po-input"
-                          value={r.unitCode}
-                          onChange={(e) => updateItem(i, "unitCode", e.target.value)}
-                          placeholder="e.g., EA / SET / MTR"
-                        />
-                      </td>
+                        <td data-label="UNIT CODE">
+                          <input
+                            className={invalid(validation.items[i]?.unitCode)}
+                            value={r.unitCode}
+                            readOnly={ro("lines")}
+                            onChange={(e) => updateItem(r.id, "unitCode", e.target.value)}
+                            onPaste={(e) => pasteCells(e, r.id, "unitCode")}
+                            placeholder="e.g., EA / SET / MTR"
+                          />
+                          <FieldError msg={validation.items[i]?.unitCode} />
+                        </td>
 
-                      <td data-label="QTY" width="120">
-                        <input
-                          className="po-input"
-                          value={r.qty}
-                          onChange={(e) => updateItem(i, "qty", e.target.value)}
-                          placeholder="e.g., 10 or '10 pcs'"
-                        />
-                      </td>
+                        <td data-label="QTY" width="120">
+                          <input
+                            className={invalid(validation.items[i]?.qty)}
+                            value={r.qty}
+                            readOnly={priceLocked || ro("pricing")}
+                            onChange={(e) => updateItem(r.id, "qty", e.target.value)}
+                            onPaste={(e) => pasteCells(e, r.id, "qty")}
+                            placeholder="e.g., 10 or '10 pcs'"
+                          />
+                          <FieldError msg={validation.items[i]?.qty} />
+                          {priceLocked && access.can("pricing") && (
+                            <ChangeRequest
+                              pending={pendingApprovalOf(state, r.id, "qty")}
+                              onRequest={() => askApproval(r.id, "qty")}
+                            />
+                          )}
+                        </td>
 
-                      <td data-label="UNIT PRICE" width="140">
-                        <input
-                          className="po-input"
-                          value={r.unitPrice}
-                          onChange={(e) => updateItem(i, "unitPrice", e.target.value)}
-                          placeholder="e.g., 12.50 or 'KWD 12.50'"
-                        />
-                      </td>
+                        <td data-label="UNIT PRICE" width="140">
+                          <input
+                            className={invalid(validation.items[i]?.unitPrice)}
+                            value={r.unitPrice}
+                            readOnly={priceLocked || ro("pricing")}
+                            onChange={(e) => updateItem(r.id, "unitPrice", e.target.value)}
+                            onPaste={(e) => pasteCells(e, r.id, "unitPrice")}
+                            placeholder="e.g., 12.500 or 'KWD 12.500'"
+                          />
+                          <FieldError msg={validation.items[i]?.unitPrice} />
+                          {priceLocked && access.can("pricing") && (
+                            <ChangeRequest
+                              pending={pendingApprovalOf(state, r.id, "unitPrice")}
+                              onRequest={() => askApproval(r.id, "unitPrice")}
+                            />
+                          )}
+                          {quotes.length > 0 && (
+                            <span className="po-hint" title={quotesText(quotes)}>
+                              Last {quoteLabel(quotes[0])} · PO {quotes[0].poNumber}
+                              {quotes.length > 1 ? ` (+${quotes.length - 1})` : ""}
+                            </span>
+                          )}
+                        </td>
 
-                      <td data-label="LINE TOTAL" className="nowrap">
-                        {money(lineTotals[i])}
-                      </td>
+                        <td data-label="DISC %" width="90">
+                          <input
+                            className={invalid(validation.items[i]?.discountPct)}
+                            value={r.discountPct}
+                            readOnly={priceLocked || ro("pricing")}
+                            onChange={(e) => updateItem(r.id, "discountPct", e.target.value)}
+                            onPaste={(e) => pasteCells(e, r.id, "discountPct")}
+                            placeholder="0"
+                          />
+                          <FieldError msg={validation.items[i]?.discountPct} />
+                          {priceLocked && access.can("pricing") && (
+                            <ChangeRequest
+                              pending={pendingApprovalOf(state, r.id, "discountPct")}
+                              onRequest={() => askApproval(r.id, "discountPct")}
+                            />
+                          )}
+                        </td>
 
-                      <td data-label="Action">
-                        <button className="po-btn danger ghost" onClick={() => removeRow(i)}>
-                          ✕
-                        </button>
-                      </td>
-                    </tr>
-                  ))}
+                        <td data-label="LINE TOTAL" className="nowrap">
+                          {money(lineTotals[i], cur)}
+                        </td>
+
+                        <td data-label="Action">
+                          {access.can("lines") && (
+                            <button className="po-btn danger ghost" onClick={() => removeRow(r.id)}>
+                              ✕
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                  {itemsWindow.after > 0 && <tr aria-hidden style={{ height: itemsWindow.after }} />}
                 </tbody>
 
                 <tfoot>
+                  {filtered && (
+                    <tr>
+                      <td className="right po-muted" colSpan="15">Totals below cover all {items.length} line(s).</td>
+                    </tr>
+                  )}
+                  <tr>
+                    <td className="right" colSpan="13">Subtotal</td>
+                    <td className="nowrap">{money(totals.subtotal, cur)}</td>
+                    <td />
+                  </tr>
                   <tr>
-                    <td className="right bold" colSpan="9">GRAND TOTAL</td>
-                    <td className="bold">{money(grandTotal)}</td>
+                    <td className="right" colSpan="13">Discount</td>
+                    <td className="nowrap">−{money(totals.discount, cur)}</td>
                     <td />
                   </tr>
+                  <tr>
+                    <td className="right" colSpan="13">
+                      VAT {header.taxRate ? `(${parseNum(header.taxRate)}%)` : "(none)"}
+                    </td>
+                    <td className="nowrap">{money(totals.tax, cur)}</td>
+                    <td />
+                  </tr>
+                  <tr>
+                    <td className="right bold" colSpan="13">GRAND TOTAL ({cur})</td>
+                    <td className="bold nowrap">{money(totals.grand, cur)}</td>
+                    <td />
+                  </tr>
+                  {totals.reporting !== null && (
+                    <tr>
+                      <td className="right po-muted" colSpan="13">
+                        In {header.reportingCurrency} @ {parseNum(header.exchangeRate)}
+                      </td>
+                      <td className="nowrap po-muted">
+                        {money(totals.reporting, header.reportingCurrency)}
+                      </td>
+                      <td />
+                    </tr>
+                  )}
                 </tfoot>
               </table>
             </div>
@@ -585,76 +1659,267 @@ export default function PurchaseOrderEditor() {
         </>
       )}
 
-      {/* SALES: free text; math uses parsed numbers */}
-      {tab === "sales" && (
+      {/* SUPPLIER: supplier POs per line; margin is sell (net of discount) minus cost, both in PO currency */}
+      {tab === "supplier" && (
         <section className="po-card">
           <div className="po-card__header">
-            <h3 className="po-title">Sales (free text; numbers parsed automatically)</h3>
+            <h3 className="po-title">Supplier POs &amp; Margin ({cur})</h3>
           </div>
           <div className="po-table-wrap">
             <table className="po-table">
               <thead>
                 <tr>
                   <th>Item</th>
-                  <th>Description</th>
                   <th>QTY</th>
-                  <th>Sold QTY</th>
-                  <th>Remaining</th>
+                  <th>Unit Price</th>
+                  <th>Line Total</th>
+                  <th>Supplier POs</th>
+                  <th>Ordered</th>
+                  <th>Avg Unit Cost</th>
+                  <th>Line Cost</th>
+                  <th>Margin</th>
+                  <th>Margin %</th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map((r, i) => {
+                  const m = margins.lines[i];
+                  return (
+                    <tr key={r.id}>
+                      <td data-label="Item">
+                        {r.item || <span className="po-muted">Line {r.lineNo}</span>}
+                        <div className="po-muted">{r.description}</div>
+                      </td>
+                      <td data-label="QTY" className="nowrap">{qtyOf(r)}</td>
+                      <td data-label="Unit Price" className="nowrap">{money(r.unitPrice, cur)}</td>
+                      <td data-label="Line Total" className="nowrap">{money(lineTotals[i], cur)}</td>
+                      <td data-label="Supplier POs" className="col-wide">
+                        <fieldset className="po-fieldset" disabled={ro("supplier")}>
+                          <SupplierOrders
+                            orders={supplierOrders[r.id] ?? []}
+                            poCurrency={cur}
+                            onAdd={() => addSupplierOrder(r.id)}
+                            onUpdate={(id, k, v) => updateSupplierOrder(r.id, id, k, v)}
+                            onRemove={(id) => removeSupplierOrder(r.id, id)}
+                          />
+                        </fieldset>
+                      </td>
+                      <td
+                        data-label="Ordered"
+                        className={`nowrap ${m.ordered !== m.qty ? "po-error-text" : ""}`}
+                        title={m.ordered !== m.qty ? "Ordered QTY differs from the line QTY" : ""}
+                      >
+                        {m.ordered}/{m.qty}
+                      </td>
+                      <td data-label="Avg Unit Cost" className="nowrap">
+                        {m.unitCost === null ? "—" : money(m.unitCost, cur)}
+                        {m.missingRate && <div className="po-error-text">Rate missing</div>}
+                      </td>
+                      <td data-label="Line Cost" className="nowrap">{m.cost === null ? "—" : money(m.cost, cur)}</td>
+                      <td data-label="Margin" className={`nowrap ${m.margin < 0 ? "po-error-text" : ""}`}>
+                        {m.margin === null ? "—" : money(m.margin, cur)}
+                      </td>
+                      <td data-label="Margin %" className={`nowrap ${m.margin < 0 ? "po-error-text" : ""}`}>
+                        {m.marginPct === null ? "—" : `${m.marginPct.toFixed(1)}%`}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td className="right" colSpan="3">Net (excl. VAT)</td>
+                  <td className="nowrap">{money(totals.net, cur)}</td>
+                  <td className="right" colSpan="3">Cost</td>
+                  <td className="nowrap">{money(margins.cost, cur)}</td>
+                  <td className={`bold nowrap ${margins.margin < 0 ? "po-error-text" : ""}`}>
+                    {money(margins.margin, cur)}
+                  </td>
+                  <td className={`bold nowrap ${margins.margin < 0 ? "po-error-text" : ""}`}>
+                    {margins.marginPct === null ? "—" : `${margins.marginPct.toFixed(1)}%`}
+                  </td>
+                </tr>
+                <tr>
+                  <td className="right bold" colSpan="3">GRAND TOTAL ({cur})</td>
+                  <td className="bold nowrap">{money(totals.grand, cur)}</td>
+                  <td className="po-muted" colSpan="6">
+                    {margins.uncosted > 0
+                      ? `${margins.uncosted} line(s) without a supplier cost are left out of the margin.`
+                      : "Margin covers every line."}
+                  </td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+        </section>
+      )}
+
+      {/* DELIVERIES: per-line dates and partial shipments; they drive the status between release and delivery */}
+      {tab === "deliveries" && (
+        <section className="po-card">
+          <div className="po-card__header">
+            <h3 className="po-title">Delivery Schedule &amp; Shipments</h3>
+          </div>
+          <p className="po-note">
+            From "Under Production" to "Stored" the PO status follows these logs: a line is Shipped once its full QTY
+            has shipped and Stored once all of it is received.
+          </p>
+          <div className="po-table-wrap">
+            <table className="po-table">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>QTY</th>
+                  {LINE_DATE_FIELDS.map((f) => (
+                    <th key={f.key}>{f.label}</th>
+                  ))}
+                  <th>Shipments</th>
+                  <th>Shipped</th>
+                  <th>Received</th>
+                  <th>Line Status</th>
                 </tr>
               </thead>
               <tbody>
                 {items.map((r, i) => (
-                  <tr key={i}>
-                    <td data-label="Item" width="220">
-                      <input
-                        className="po-input"
-                        value={r.item}
-                        onChange={(e) => updateItem(i, "item", e.target.value)}
-                        placeholder="Item code/name"
-                      />
-                    </td>
-                    <td data-label="Description" className="col-wide">
-                      <textarea
-                        className="po-input po-textarea"
-                        value={r.description}
-                        onChange={(e) => updateItem(i, "description", e.target.value)}
-                        placeholder="Detailed description"
-                      />
-                    </td>
-                    <td data-label="QTY" className="nowrap">
-                      {qtyOf(r)}
+                  <tr key={r.id}>
+                    <td data-label="Item">
+                      {r.item || <span className="po-muted">Line {r.lineNo}</span>}
+                      <div className="po-muted">{r.description}</div>
                     </td>
-                    <td data-label="Sold QTY" width="160">
-                      <input
-                        className="po-input"
-                        value={sales[i] ?? ""}
-                        onChange={(e) => {
-                          const typed = e.target.value; // keep as string
-                          const qtyN = qtyOf(items[i]);
-                          const soldN = Math.min(qtyN, Math.max(parseNum(typed), 0));
-                          const nextVal =
-                            parseNum(typed) !== soldN ? String(soldN) : typed;
-                          setAndSave((s) => {
-                            const next = [...s.sales];
-                            next[i] = nextVal;
-                            return { ...s, sales: next };
-                          });
-                        }}
-                        placeholder="e.g., 2 or '2 pcs'"
-                      />
+                    <td data-label="QTY" className="nowrap">{qtyOf(r)}</td>
+                    {LINE_DATE_FIELDS.map((f) => (
+                      <td key={f.key} data-label={f.label}>
+                        <input
+                          className={invalid(validation.items[i]?.[f.key])}
+                          type="date"
+                          value={r[f.key]}
+                          readOnly={ro("lines")}
+                          onChange={(e) => updateItem(r.id, f.key, e.target.value)}
+                        />
+                        <FieldError msg={validation.items[i]?.[f.key]} />
+                      </td>
+                    ))}
+                    <td data-label="Shipments" className="col-wide">
+                      <fieldset className="po-fieldset" disabled={ro("shipments")}>
+                        <ShipmentLog
+                          shipments={shipments[r.id] ?? []}
+                          onAdd={() => addShipment(r.id)}
+                          onUpdate={(id, k, v) => updateShipment(r.id, id, k, v)}
+                          onRemove={(id) => removeShipment(r.id, id)}
+                        />
+                      </fieldset>
                     </td>
-                    <td data-label="Remaining" className="nowrap">
-                      {remainingByRow[i]}
+                    <td data-label="Shipped" className="nowrap">{shippedOf(r)}</td>
+                    <td data-label="Received" className="nowrap">{receivedOf(r)}</td>
+                    <td data-label="Line Status" className="nowrap">
+                      {lineLabelOf(r, shipments[r.id])}
+                      {missingTpi.includes(r.id) && <div className="po-error-text">TPI release note missing</div>}
                     </td>
                   </tr>
                 ))}
               </tbody>
               <tfoot>
                 <tr>
-                  <td className="right bold" colSpan="3">TOTALS</td>
-                  <td className="bold">
-                    {sales.reduce((a, b) => a + parseNum(b), 0)}
-                  </td>
+                  <td className="right bold" colSpan={3 + LINE_DATE_FIELDS.length}>TOTALS</td>
+                  <td className="bold">{items.reduce((a, r) => a + shippedOf(r), 0)}</td>
+                  <td className="bold">{items.reduce((a, r) => a + receivedOf(r), 0)}</td>
+                  <td />
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+        </section>
+      )}
+
+      {/* SALES: free text; math uses parsed numbers */}
+      {tab === "sales" && (
+        <InvoicePanel
+          po={state}
+          remainingByRow={remainingByRow}
+          canEdit={access.can("invoices")}
+          nextNumber={(date) => nextInvoiceNumber(pos, date)}
+          onIssue={issueInvoice}
+          onDelete={deleteInvoice}
+          onAddPayment={addPayment}
+          onUpdatePayment={updatePayment}
+          onRemovePayment={removePayment}
+          onPrint={(id) => setPrintDoc(`invoice:${id}`)}
+        />
+      )}
+
+      {tab === "sales" && (
+        <section className="po-card">
+          <div className="po-card__header">
+            <h3 className="po-title">Sales &amp; Deliveries (numbers parsed automatically)</h3>
+          </div>
+          {filters}
+          <div
+            ref={salesWindow.ref}
+            className={`po-table-wrap ${salesWindow.enabled ? "po-table-wrap--virtual" : ""}`}
+          >
+            <table className="po-table">
+              <thead>
+                <tr>
+                  {sortTh("item", "Item")}
+                  {sortTh("description", "Description")}
+                  {sortTh("qty", "QTY")}
+                  <th>Transactions</th>
+                  {sortTh("sold", "Sold QTY")}
+                  {sortTh("remaining", "Remaining")}
+                </tr>
+              </thead>
+              <tbody>
+                {salesWindow.before > 0 && <tr aria-hidden style={{ height: salesWindow.before }} />}
+                {visible(salesWindow).map((i) => {
+                  const r = items[i];
+                  return (
+                    <tr key={r.id}>
+                      <td data-label="Item" width="220">
+                        <input
+                          className="po-input"
+                          value={r.item}
+                          readOnly={ro("lines")}
+                          onChange={(e) => updateItem(r.id, "item", e.target.value)}
+                          placeholder="Item code/name"
+                        />
+                      </td>
+                      <td data-label="Description" width="240">
+                        <textarea
+                          className="po-input po-textarea"
+                          value={r.description}
+                          readOnly={ro("lines")}
+                          onChange={(e) => updateItem(r.id, "description", e.target.value)}
+                          placeholder="Detailed description"
+                        />
+                      </td>
+                      <td data-label="QTY" className="nowrap">
+                        {qtyOf(r)}
+                      </td>
+                      <td data-label="Transactions" className="col-wide">
+                        <fieldset className="po-fieldset" disabled={ro("sales")}>
+                          <SaleTransactions
+                            txs={sales[r.id] ?? []}
+                            onAdd={() => addSale(r.id)}
+                            onUpdate={(id, k, v) => updateSale(r.id, id, k, v)}
+                            onRemove={(id) => removeSale(r.id, id)}
+                          />
+                        </fieldset>
+                      </td>
+                      <td data-label="Sold QTY" className="nowrap">
+                        {soldOf(i)}
+                      </td>
+                      <td data-label="Remaining" className="nowrap">
+                        {remainingByRow[i]}
+                      </td>
+                    </tr>
+                  );
+                })}
+                {salesWindow.after > 0 && <tr aria-hidden style={{ height: salesWindow.after }} />}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td className="right bold" colSpan="4">TOTALS</td>
+                  <td className="bold">{soldTotal}</td>
                   <td className="bold">
                     {remainingByRow.reduce((a, b) => a + b, 0)}
                   </td>
@@ -671,34 +1936,41 @@ export default function PurchaseOrderEditor() {
           <div className="po-card__header">
             <h3 className="po-title">Remaining Items</h3>
           </div>
-          <div className="po-table-wrap">
+          {filters}
+          <div
+            ref={remainingWindow.ref}
+            className={`po-table-wrap ${remainingWindow.enabled ? "po-table-wrap--virtual" : ""}`}
+          >
             <table className="po-table">
               <thead>
                 <tr>
-                  <th>Item</th>
-                  <th>Description</th>
-                  <th>QTY</th>
-                  <th>Sold</th>
-                  <th>Remaining</th>
+                  {sortTh("item", "Item")}
+                  {sortTh("description", "Description")}
+                  {sortTh("qty", "QTY")}
+                  {sortTh("sold", "Sold")}
+                  {sortTh("remaining", "Remaining")}
                 </tr>
               </thead>
               <tbody>
-                {items.map((r, i) => (
-                  <tr key={i}>
-                    <td data-label="Item">{r.item}</td>
-                    <td data-label="Description" className="col-wide">{r.description}</td>
-                    <td data-label="QTY" className="nowrap">{qtyOf(r)}</td>
-                    <td data-label="Sold" className="nowrap">{soldOf(i)}</td>
-                    <td data-label="Remaining" className="nowrap">{remainingByRow[i]}</td>
-                  </tr>
-                ))}
+                {remainingWindow.before > 0 && <tr aria-hidden style={{ height: remainingWindow.before }} />}
+                {visible(remainingWindow).map((i) => {
+                  const r = items[i];
+                  return (
+                    <tr key={r.id}>
+                      <td data-label="Item">{r.item}</td>
+                      <td data-label="Description" className="col-wide">{r.description}</td>
+                      <td data-label="QTY" className="nowrap">{qtyOf(r)}</td>
+                      <td data-label="Sold" className="nowrap">{soldOf(i)}</td>
+                      <td data-label="Remaining" className="nowrap">{remainingByRow[i]}</td>
+                    </tr>
+                  );
+                })}
+                {remainingWindow.after > 0 && <tr aria-hidden style={{ height: remainingWindow.after }} />}
               </tbody>
               <tfoot>
                 <tr>
                   <td className="right bold" colSpan="3">TOTALS</td>
-                  <td className="bold">
-                    {sales.reduce((a, b) => a + parseNum(b), 0)}
-                  </td>
+                  <td className="bold">{soldTotal}</td>
                   <td className="bold">
                     {remainingByRow.reduce((a, b) => a + b, 0)}
                   </td>
@@ -708,6 +1980,15 @@ export default function PurchaseOrderEditor() {
           </div>
         </section>
       )}
+
+      {printDoc && (
+        <PrintDocument
+          kind={printDoc.split(":")[0]}
+          invoiceId={printDoc.split(":")[1]}
+          po={state}
+          contract={contract}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,183 @@
+import { useMemo, useState } from "react";
+import BarChart from "./BarChart";
+import ChartCard from "./ChartCard";
+import ColumnChart from "./ColumnChart";
+import { money, statusColor } from "../lib/po";
+import { currenciesOf, dashboardCSVRows, dashboardOf, dashboardTable, onTimePct } from "../lib/dashboard";
+import { downloadBlob } from "../lib/download";
+import { toCSV } from "../lib/reports";
+
+// axis labels: 12.5M, 340k, or the amount itself below a thousand
+const shortAmount = (n, currency) => {
+  if (Math.abs(n) >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (Math.abs(n) >= 1e3) return `${(n / 1e3).toFixed(0)}k`;
+  return money(n, currency);
+};
+
+const DELIVERY_BARS = [
+  ["onTime", "Received on time", "#059669"],
+  ["late", "Received late", "#b91c1c"],
+  ["overdue", "Open, past Franco date", "#b45309"],
+  ["open", "Open, not yet due", "#94a3b8"],
+];
+
+/* ---------- Component ---------- */
+// Register-wide KPIs and charts for the POs issued in a date range
+export default function ReportDashboard({ pos }) {
+  const [range, setRange] = useState({ from: "", to: "" });
+  const [withArchived, setWithArchived] = useState(false);
+  const currencies = useMemo(() => currenciesOf(pos), [pos]);
+  const [picked, setPicked] = useState("");
+  const currency = currencies.includes(picked) ? picked : currencies[0] || "KWD";
+
+  const shown = useMemo(() => pos.filter((p) => withArchived || !p.archived), [pos, withArchived]);
+  const d = useMemo(() => dashboardOf(shown, { range, currency }), [shown, range, currency]);
+
+  const fmt = (n) => money(n, currency);
+  const onTime = onTimePct(d.delivery);
+  const file = (part) => `po-dashboard-${part}`;
+
+  const exportAll = () =>
+    downloadBlob(
+      new Blob(["\uFEFF" + toCSV(dashboardCSVRows(d, currency, range))], { type: "text/csv;charset=utf-8" }),
+      `${file("all")}.csv`
+    );
+
+  const kpis = [
+    ["POs", d.count],
+    [`PO value (${currency})`, fmt(d.value)],
+    [`Invoiced (${currency})`, fmt(d.invoiced)],
+    [`Not yet invoiced (${currency})`, fmt(d.value - d.invoiced)],
+    ["On-time deliveries", onTime === null ? "—" : `${onTime.toFixed(0)}%`],
+    ["Lines past Franco date", d.delivery.overdue],
+  ];
+
+  return (
+    <>
+      <section className="po-card">
+        <div className="po-card__header">
+          <h3 className="po-title">Dashboard</h3>
+          <div className="po-actions">
+            <button className="po-btn" onClick={exportAll}>Export all CSV</button>
+          </div>
+        </div>
+
+        <div className="po-filters">
+          <label className="po-check">
+            Issued from
+            <input
+              type="date"
+              className="po-input"
+              value={range.from}
+              onChange={(e) => setRange((r) => ({ ...r, from: e.target.value }))}
+            />
+          </label>
+          <label className="po-check">
+            to
+            <input
+              type="date"
+              className="po-input"
+              value={range.to}
+              onChange={(e) => setRange((r) => ({ ...r, to: e.target.value }))}
+            />
+          </label>
+          {(range.from || range.to) && (
+            <button className="po-btn ghost" onClick={() => setRange({ from: "", to: "" })}>Clear dates</button>
+          )}
+          <label className="po-check">
+            Values in
+            <select className="po-select" value={currency} onChange={(e) => setPicked(e.target.value)}>
+              {(currencies.length ? currencies : [currency]).map((c) => <option key={c} value={c}>{c}</option>)}
+            </select>
+          </label>
+          <label className="po-check">
+            <input type="checkbox" checked={withArchived} onChange={(e) => setWithArchived(e.target.checked)} />
+            Include archived
+          </label>
+        </div>
+
+        <div className="po-kpis">
+          {kpis.map(([label, value]) => (
+            <div key={label} className="po-kpi">
+              <span className="po-kpi__value">{value}</span>
+              <span className="po-kpi__label">{label}</span>
+            </div>
+          ))}
+        </div>
+        {d.unconverted.length > 0 && (
+          <p className="po-note">
+            Not valued (no exchange rate to {currency}): PO {d.unconverted.join(", ")}.
+          </p>
+        )}
+      </section>
+
+      <ChartCard
+        title="PO Value by Beneficiary / LTSA"
+        name={file("ltsa")}
+        csvRows={dashboardTable(d, "contracts", currency)}
+      >
+        <BarChart
+          rows={d.contracts.map((c) => ({
+            label: `${c.ltsa}${c.beneficiary ? ` – ${c.beneficiary}` : ""}`,
+            value: c.value,
+            note: `${c.count} PO${c.count === 1 ? "" : "s"}`,
+          }))}
+          format={(n) => `${fmt(n)} ${currency}`}
+        />
+      </ChartCard>
+
+      <ChartCard title="POs by Status" name={file("status")} csvRows={dashboardTable(d, "stages", currency)}>
+        <BarChart
+          rows={d.stages.map((s) => ({
+            label: s.stage,
+            value: s.count,
+            color: statusColor(s.stage),
+            note: `${fmt(s.value)} ${currency}`,
+          }))}
+        />
+      </ChartCard>
+
+      <ChartCard
+        title={`Issued vs Invoiced by Month (${currency})`}
+        name={file("monthly")}
+        csvRows={dashboardTable(d, "months", currency)}
+      >
+        <ColumnChart
+          rows={d.months.map((m) => ({ label: m.month, values: [m.issued, m.invoiced] }))}
+          series={[
+            { name: "Issued", color: "#2563eb" },
+            { name: "Invoiced", color: "#f59e0b" },
+          ]}
+          format={(n) => shortAmount(n, currency)}
+        />
+      </ChartCard>
+
+      <ChartCard
+        title="Deliveries vs Franco Date"
+        name={file("deliveries")}
+        csvRows={dashboardTable(d, "delivery", currency)}
+      >
+        <BarChart rows={DELIVERY_BARS.map(([k, label, color]) => ({ label, value: d.delivery[k], color }))} />
+        <p className="po-note">
+          Received shipments are on time when received by the PO&apos;s Required Franco Date; open lines are those not
+          fully received yet.
+        </p>
+      </ChartCard>
+
+      <ChartCard
+        title="Top Remaining QTY by Material / Grade"
+        name={file("remaining")}
+        csvRows={dashboardTable(d, "remaining", currency)}
+      >
+        <BarChart
+          rows={d.remaining.map((x) => ({
+            label: `${x.material} / ${x.grade}`,
+            value: x.qty,
+            note: `${x.lines} line${x.lines === 1 ? "" : "s"} · ${fmt(x.value)} ${currency}`,
+          }))}
+          color="#0891b2"
+        />
+      </ChartCard>
+    </>
+  );
+}
@@ -0,0 +1,81 @@
+/* ---------- Component ---------- */
+// Sales/delivery transactions recorded against one item row; lines billed by an invoice are read-only
+export default function SaleTransactions({ txs, onAdd, onUpdate, onRemove }) {
+  return (
+    <div className="po-tx">
+      {txs.length > 0 && (
+        <table className="po-tx-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>QTY</th>
+              <th>Invoice / DN No.</th>
+              <th>Customer Ref.</th>
+              <th>Notes</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {txs.map((t) => (
+              <tr key={t.id}>
+                <td data-label="Date">
+                  <input
+                    className="po-input"
+                    type="date"
+                    value={t.date}
+                    onChange={(e) => onUpdate(t.id, "date", e.target.value)}
+                    disabled={!!t.invoiceId}
+                  />
+                </td>
+                <td data-label="QTY" width="90">
+                  <input
+                    className="po-input"
+                    value={t.qty}
+                    onChange={(e) => onUpdate(t.id, "qty", e.target.value)}
+                    disabled={!!t.invoiceId}
+                    placeholder="e.g., 2"
+                  />
+                </td>
+                <td data-label="Invoice / DN No.">
+                  <input
+                    className="po-input"
+                    value={t.docNo}
+                    onChange={(e) => onUpdate(t.id, "docNo", e.target.value)}
+                    disabled={!!t.invoiceId}
+                    placeholder="e.g., INV-0012 / DN-045"
+                  />
+                </td>
+                <td data-label="Customer Ref.">
+                  <input
+                    className="po-input"
+                    value={t.customerRef}
+                    onChange={(e) => onUpdate(t.id, "customerRef", e.target.value)}
+                    disabled={!!t.invoiceId}
+                  />
+                </td>
+                <td data-label="Notes">
+                  <input
+                    className="po-input"
+                    value={t.notes}
+                    onChange={(e) => onUpdate(t.id, "notes", e.target.value)}
+                    disabled={!!t.invoiceId}
+                  />
+                </td>
+                <td>
+                  {t.invoiceId ? (
+                    <span className="po-tag" title="Delete the invoice to release this quantity">Invoiced</span>
+                  ) : (
+                    <button className="po-btn danger ghost" onClick={() => onRemove(t.id)}>
+                      ✕
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <button className="po-btn ghost" onClick={onAdd}>+ Add Sale</button>
+    </div>
+  );
+}
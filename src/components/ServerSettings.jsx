@@ -0,0 +1,57 @@
+import { useState } from "react";
+
+const STATUS_LABELS = {
+  local: "This browser only",
+  syncing: "Syncing…",
+  synced: "All changes are on the server",
+  offline: "Server unreachable — changes are kept here and sent later",
+};
+
+/* ---------- Component ---------- */
+// where the register lives: this browser only, or a shared server (npm run server) with this browser as its cache
+export default function ServerSettings({ url, sync, onConnect }) {
+  const [draft, setDraft] = useState(url);
+
+  const connect = () => {
+    if (draft.trim() && !/^https?:\/\//i.test(draft.trim())) return alert("The server address must start with http:// or https://");
+    onConnect(draft);
+  };
+
+  const disconnect = () => {
+    if (!confirm("Stop syncing with the server? The POs stay in this browser.")) return;
+    setDraft("");
+    onConnect("");
+  };
+
+  return (
+    <section className="po-card">
+      <div className="po-card__header">
+        <h3 className="po-title">Server</h3>
+        <div className="po-actions">
+          <input
+            className="po-input"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && connect()}
+            placeholder="e.g., http://localhost:8787"
+          />
+          <button className="po-btn" onClick={connect} disabled={draft.trim() === url}>
+            {url ? "Change" : "Connect"}
+          </button>
+          {url && <button className="po-btn ghost" onClick={sync.syncNow}>Sync now</button>}
+          {url && <button className="po-btn danger ghost" onClick={disconnect}>Disconnect</button>}
+        </div>
+      </div>
+      <p className="po-note">
+        <b>{STATUS_LABELS[sync.status]}</b>
+        {url && sync.queued > 0 && ` · ${sync.queued} change${sync.queued === 1 ? "" : "s"} waiting to be sent`}
+        {sync.error && <span className="po-muted"> ({sync.error})</span>}
+      </p>
+      <p className="po-note">
+        With a server, POs, master data and the catalog are shared; this browser keeps a copy to work offline
+        and sends what was changed meanwhile once the server can be reached again.
+        Someone else&apos;s newer change is never overwritten without asking.
+      </p>
+    </section>
+  );
+}
@@ -0,0 +1,75 @@
+/* ---------- Component ---------- */
+// Partial shipments recorded against one item row
+export default function ShipmentLog({ shipments, onAdd, onUpdate, onRemove }) {
+  return (
+    <div className="po-tx">
+      {shipments.length > 0 && (
+        <table className="po-tx-table">
+          <thead>
+            <tr>
+              <th>QTY</th>
+              <th>AWB / BL No.</th>
+              <th>Shipped</th>
+              <th>Received</th>
+              <th>Storage Location</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {shipments.map((s) => (
+              <tr key={s.id}>
+                <td data-label="QTY" width="90">
+                  <input
+                    className="po-input"
+                    value={s.qty}
+                    onChange={(e) => onUpdate(s.id, "qty", e.target.value)}
+                    placeholder="e.g., 4"
+                  />
+                </td>
+                <td data-label="AWB / BL No.">
+                  <input
+                    className="po-input"
+                    value={s.awbNo}
+                    onChange={(e) => onUpdate(s.id, "awbNo", e.target.value)}
+                    placeholder="e.g., 176-12345675"
+                  />
+                </td>
+                <td data-label="Shipped">
+                  <input
+                    className="po-input"
+                    type="date"
+                    value={s.shippedDate}
+                    onChange={(e) => onUpdate(s.id, "shippedDate", e.target.value)}
+                  />
+                </td>
+                <td data-label="Received">
+                  <input
+                    className="po-input"
+                    type="date"
+                    value={s.receivedDate}
+                    onChange={(e) => onUpdate(s.id, "receivedDate", e.target.value)}
+                    title="Leave blank while in transit"
+                  />
+                </td>
+                <td data-label="Storage Location">
+                  <input
+                    className="po-input"
+                    value={s.location}
+                    onChange={(e) => onUpdate(s.id, "location", e.target.value)}
+                    placeholder="e.g., WH-2 / Bay 14"
+                  />
+                </td>
+                <td>
+                  <button className="po-btn danger ghost" onClick={() => onRemove(s.id)}>
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <button className="po-btn ghost" onClick={onAdd}>+ Add Shipment</button>
+    </div>
+  );
+}
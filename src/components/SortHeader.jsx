@@ -0,0 +1,15 @@
+/* ---------- Component ---------- */
+// Clickable column header cycling asc → desc → off
+export default function SortHeader({ k, view, onSort, children }) {
+  const active = view.sortKey === k;
+  return (
+    <th
+      className="po-sortable"
+      onClick={() => onSort(k)}
+      aria-sort={active ? (view.sortDir === "asc" ? "ascending" : "descending") : "none"}
+    >
+      {children}
+      <span className="po-muted">{active ? (view.sortDir === "asc" ? " ▲" : " ▼") : " ↕"}</span>
+    </th>
+  );
+}
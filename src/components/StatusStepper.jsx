@@ -0,0 +1,67 @@
+import { useState } from "react";
+import { STATUS_STEPS, statusColor } from "../lib/po";
+import { isDerived, manualNext, rollbackTargets, stepIndex } from "../lib/workflow";
+
+const fmtWhen = (iso) => new Date(iso).toLocaleString();
+
+/* ---------- Component ---------- */
+// `canMove(to)` hides the moves the signed-in role may not make
+export default function StatusStepper({ status, history, canMove = () => true, onChange }) {
+  const [showHistory, setShowHistory] = useState(false);
+  const current = stepIndex(status);
+  const next = manualNext(status);
+  const rollbacks = rollbackTargets(status).filter(canMove);
+
+  const rollback = (to) => {
+    const reason = prompt(`Reason for rolling back to "${to}":`);
+    if (reason !== null) onChange(to, reason);
+  };
+
+  return (
+    <div className="po-stepper-wrap">
+      <ol className="po-stepper">
+        {STATUS_STEPS.map((s, i) => (
+          <li
+            key={s}
+            className={`po-step ${i < current ? "done" : ""} ${i === current ? "current" : ""}`}
+            style={i <= current ? { "--step-color": statusColor(status) } : undefined}
+          >
+            <span className="po-step__dot">{i < current ? "✓" : i + 1}</span>
+            <span className="po-step__label">{s}</span>
+          </li>
+        ))}
+      </ol>
+
+      <div className="po-actions">
+        {next && canMove(next) && (
+          <button className="po-btn" onClick={() => onChange(next)}>
+            Move to {next} →
+          </button>
+        )}
+        {rollbacks.map((to) => (
+          <button key={to} className="po-btn ghost" onClick={() => rollback(to)}>
+            ← Back to {to}
+          </button>
+        ))}
+        <button className="po-btn ghost" onClick={() => setShowHistory((v) => !v)}>
+          History ({history.length})
+        </button>
+        {isDerived(status) && !next && (
+          <span className="po-muted">Status follows the line shipments (Deliveries tab).</span>
+        )}
+      </div>
+
+      {showHistory && (
+        <ul className="po-history">
+          {!history.length && <li className="po-muted">No status changes recorded yet.</li>}
+          {[...history].reverse().map((h, i) => (
+            <li key={i}>
+              <span className="po-muted">{fmtWhen(h.at)}</span> {h.from} → <b>{h.to}</b>
+              {h.reason && <span className="po-muted"> — {h.reason}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import { CURRENCIES } from "../lib/po";
+
+/* ---------- Component ---------- */
+// Supplier POs placed for one item row; foreign-currency orders need a rate into the PO currency
+export default function SupplierOrders({ orders, poCurrency, onAdd, onUpdate, onRemove }) {
+  return (
+    <div className="po-tx">
+      {orders.length > 0 && (
+        <table className="po-tx-table">
+          <thead>
+            <tr>
+              <th>Supplier</th>
+              <th>Supplier PO No.</th>
+              <th>QTY</th>
+              <th>Cost Unit Price</th>
+              <th>Currency</th>
+              <th>Rate to {poCurrency}</th>
+              <th>Lead Time (days)</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map((o) => (
+              <tr key={o.id}>
+                <td data-label="Supplier">
+                  <input
+                    className="po-input"
+                    value={o.supplier}
+                    onChange={(e) => onUpdate(o.id, "supplier", e.target.value)}
+                    placeholder="Supplier name"
+                  />
+                </td>
+                <td data-label="Supplier PO No.">
+                  <input
+                    className="po-input"
+                    value={o.poNo}
+                    onChange={(e) => onUpdate(o.id, "poNo", e.target.value)}
+                    placeholder="e.g., SPO-2291"
+                  />
+                </td>
+                <td data-label="QTY" width="80">
+                  <input
+                    className="po-input"
+                    value={o.qty}
+                    onChange={(e) => onUpdate(o.id, "qty", e.target.value)}
+                  />
+                </td>
+                <td data-label="Cost Unit Price" width="110">
+                  <input
+                    className="po-input"
+                    value={o.costUnitPrice}
+                    onChange={(e) => onUpdate(o.id, "costUnitPrice", e.target.value)}
+                  />
+                </td>
+                <td data-label="Currency">
+                  <select
+                    className="po-select po-select--compact"
+                    value={o.currency}
+                    onChange={(e) => onUpdate(o.id, "currency", e.target.value)}
+                  >
+                    {Object.keys(CURRENCIES).map((c) => (
+                      <option key={c} value={c}>{c}</option>
+                    ))}
+                  </select>
+                </td>
+                <td data-label={`Rate to ${poCurrency}`} width="100">
+                  {o.currency === poCurrency ? (
+                    <span className="po-muted">—</span>
+                  ) : (
+                    <input
+                      className={o.fxRate ? "po-input" : "po-input invalid"}
+                      value={o.fxRate}
+                      onChange={(e) => onUpdate(o.id, "fxRate", e.target.value)}
+                      title={`1 ${o.currency} = ? ${poCurrency}`}
+                    />
+                  )}
+                </td>
+                <td data-label="Lead Time (days)" width="90">
+                  <input
+                    className="po-input"
+                    value={o.leadTimeDays}
+                    onChange={(e) => onUpdate(o.id, "leadTimeDays", e.target.value)}
+                  />
+                </td>
+                <td>
+                  <button className="po-btn danger ghost" onClick={() => onRemove(o.id)}>
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <button className="po-btn ghost" onClick={onAdd}>+ Add Supplier PO</button>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+// [label, tone] for the indicator
+const labelOf = ({ status, queued }) => {
+  const waiting = queued ? ` · ${queued} to sync` : "";
+  if (status === "offline") return [`Offline – saved locally${waiting}`, "warn"];
+  if (status === "syncing") return ["Syncing…", ""];
+  if (queued) return [`Saved locally${waiting}`, ""];
+  return ["Synced ✓", "ok"];
+};
+
+/* ---------- Component ---------- */
+// sits next to "Saved ✓": whether the last changes only live in this browser or have reached the server
+export default function SyncStatus({ sync, onOpen }) {
+  if (sync.status === "local") return null;
+  const [label, tone] = labelOf(sync);
+
+  return (
+    <button
+      type="button"
+      className={`po-sync-ind ${tone}`}
+      onClick={onOpen}
+      title={sync.error || "Server settings are under Master Data"}
+    >
+      {label}
+    </button>
+  );
+}
@@ -0,0 +1,117 @@
+import { useState } from "react";
+import { ADMIN_ROLE, GROUPS, ROLES, ROLE_GROUPS, defaultUser, isLastAdmin } from "../lib/users";
+
+const rightsOf = (role) => ROLE_GROUPS[role].map((g) => GROUPS[g]).join(", ") || "read only";
+
+/* ---------- Component ---------- */
+// users of this browser and their roles; `canEdit` is false for anyone but a Contracts user once users exist
+export default function UserAdmin({ users, currentId, canEdit, onChange, onSwitch }) {
+  const [name, setName] = useState("");
+  const [role, setRole] = useState(users.length ? "buyer" : ADMIN_ROLE);
+
+  const add = () => {
+    if (!name.trim()) return;
+    const u = { ...defaultUser(users.length ? role : ADMIN_ROLE), name: name.trim() };
+    onChange((list) => [...list, u]);
+    // the first user is who's working now
+    if (!users.length) onSwitch(u.id);
+    setName("");
+    setRole("buyer");
+  };
+
+  const patch = (id, p) => onChange((list) => list.map((u) => (u.id === id ? { ...u, ...p } : u)));
+
+  const changeRole = (id, to) => {
+    if (to !== ADMIN_ROLE && isLastAdmin(users, id)) {
+      return alert(`At least one user must keep the ${ROLES[ADMIN_ROLE]} role to manage users.`);
+    }
+    patch(id, { role: to });
+  };
+
+  const remove = (u) => {
+    if (isLastAdmin(users, u.id) && users.length > 1) {
+      return alert(`${u.name} is the last ${ROLES[ADMIN_ROLE]} user; give someone else that role first.`);
+    }
+    const last = users.length === 1 ? " Without users, anyone can change everything again." : "";
+    if (!confirm(`Remove user ${u.name || "(no name)"}?${last}`)) return;
+    onChange((list) => list.filter((x) => x.id !== u.id));
+    if (u.id === currentId) onSwitch("");
+  };
+
+  return (
+    <section className="po-card">
+      <div className="po-card__header">
+        <h3 className="po-title">Users & Roles ({users.length})</h3>
+        <div className="po-actions">
+          <input
+            className="po-input"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && canEdit && add()}
+            placeholder="Name"
+            disabled={!canEdit}
+          />
+          <select
+            className="po-select"
+            value={users.length ? role : ADMIN_ROLE}
+            onChange={(e) => setRole(e.target.value)}
+            disabled={!canEdit || !users.length}
+          >
+            {Object.entries(ROLES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
+          <button className="po-btn" onClick={add} disabled={!canEdit || !name.trim()}>+ Add User</button>
+        </div>
+      </div>
+      <p className="po-note">
+        {users.length
+          ? "Each person picks their name at the top; their role decides what they may change. " +
+            "Names are recorded in the audit trail."
+          : "No users yet, so anyone can change everything. " +
+            `The first user added gets the ${ROLES[ADMIN_ROLE]} role, which manages users.`}
+      </p>
+
+      {users.length > 0 && (
+        <div className="po-table-wrap">
+          <table className="po-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Role</th>
+                <th>May change</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((u) => (
+                <tr key={u.id}>
+                  <td data-label="Name">
+                    <input
+                      className="po-input"
+                      value={u.name}
+                      onChange={(e) => patch(u.id, { name: e.target.value })}
+                      disabled={!canEdit}
+                    />
+                  </td>
+                  <td data-label="Role">
+                    <select
+                      className="po-select"
+                      value={u.role}
+                      onChange={(e) => changeRole(u.id, e.target.value)}
+                      disabled={!canEdit}
+                    >
+                      {Object.entries(ROLES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                    </select>
+                  </td>
+                  <td data-label="May change" className="col-wide po-muted">{rightsOf(u.role)}</td>
+                  <td data-label="Action">
+                    <button className="po-btn danger ghost" onClick={() => remove(u)} disabled={!canEdit}>✕</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,23 @@
+import { ROLES } from "../lib/users";
+
+/* ---------- Component ---------- */
+// who is working in this browser; hidden until users are set up under Master Data
+export default function UserSwitch({ users, currentId, onSwitch }) {
+  if (!users.length) return null;
+  const known = users.some((u) => u.id === currentId);
+  return (
+    <select
+      className="po-select po-user-select"
+      value={known ? currentId : ""}
+      onChange={(e) => onSwitch(e.target.value)}
+      title="Who is working (decides what may be changed)"
+    >
+      {!known && <option value="">— who are you? —</option>}
+      {users.map((u) => (
+        <option key={u.id} value={u.id}>
+          {u.name || "(no name)"} · {ROLES[u.role]}
+        </option>
+      ))}
+    </select>
+  );
+}
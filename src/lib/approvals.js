@@ -0,0 +1,78 @@
+import { newId } from "./po";
+import { stepIndex } from "./workflow";
+
+/* ---------- Rules ---------- */
+// once a PO has moved past this step, whatever makes up its total only changes through an approved request
+export const PRICE_LOCK_AFTER = "Supplier PO Released";
+
+// line fields, and header fields (requests with no line), that change the PO total
+export const APPROVAL_FIELDS = { unitPrice: "Unit Price", qty: "QTY", discountPct: "Discount %" };
+export const HEADER_APPROVAL_FIELDS = { currency: "Currency", taxRate: "VAT %" };
+
+export const approvalLabel = (field) => APPROVAL_FIELDS[field] || HEADER_APPROVAL_FIELDS[field] || field;
+
+export const needsApproval = (po) => stepIndex(po.header.status) > stepIndex(PRICE_LOCK_AFTER);
+
+/* ---------- Requests ---------- */
+// one requested price / QTY change on a line (or currency / VAT change on the header);
+// status: pending | approved | rejected
+export const defaultApproval = () => ({
+  id: newId(),
+  lineId: null,      // null for a header field
+  field: "unitPrice",
+  from: "",
+  to: "",
+  reason: "",
+  requestedBy: "",   // user name, as in the audit log
+  requestedById: "", // user id ("" without users)
+  requestedAt: "",
+  status: "pending",
+  decidedBy: "",
+  decidedById: "",
+  decidedAt: "",
+  note: "",
+});
+
+export const normalizeApprovals = (list) =>
+  Array.isArray(list) ? list.map((a) => ({ ...defaultApproval(), ...a })) : [];
+
+export const pendingApprovalOf = (po, lineId, field) =>
+  (po.approvals || []).find((a) => a.status === "pending" && a.lineId === lineId && a.field === field) || null;
+
+// `who` is { id, name } of the user asking / deciding
+export const requestApproval = (po, { lineId, field, to, reason }, who) => {
+  const from = lineId ? po.items.find((r) => r.id === lineId)?.[field] : po.header[field];
+  const request = {
+    ...defaultApproval(),
+    lineId,
+    field,
+    from: String(from ?? ""),
+    to: String(to).trim(),
+    reason: reason.trim(),
+    requestedBy: who.name,
+    requestedById: who.id,
+    requestedAt: new Date().toISOString(),
+  };
+  return { ...po, approvals: [...(po.approvals || []), request] };
+};
+
+// records the decision; an approved change is applied to the header or its line (if the line is still there)
+export const decideApproval = (po, id, approve, who, note = "") => {
+  const a = (po.approvals || []).find((x) => x.id === id);
+  if (!a || a.status !== "pending") return po;
+  const decided = {
+    ...a,
+    status: approve ? "approved" : "rejected",
+    decidedBy: who.name,
+    decidedById: who.id,
+    decidedAt: new Date().toISOString(),
+    note: note.trim(),
+  };
+  const onHeader = !!HEADER_APPROVAL_FIELDS[a.field];
+  return {
+    ...po,
+    header: approve && onHeader ? { ...po.header, [a.field]: a.to } : po.header,
+    items: approve && !onHeader ? po.items.map((r) => (r.id === a.lineId ? { ...r, [a.field]: a.to } : r)) : po.items,
+    approvals: po.approvals.map((x) => (x.id === id ? decided : x)),
+  };
+};
@@ -0,0 +1,85 @@
+import { newId } from "./po";
+
+/* ---------- Types ---------- */
+export const ATTACHMENT_TYPES = {
+  mtc: "MTC",
+  tpi: "TPI release note",
+  invoice: "Invoice",
+  dn: "DN",
+  quote: "Supplier quote",
+  signedPO: "Signed PO",
+  other: "Other",
+};
+
+// metadata lives in the PO (so it is undoable and audited); file contents live in IndexedDB under the same id
+export const defaultAttachment = () => ({
+  id: newId(),
+  lineId: null, // item line id, or null for the whole PO
+  type: "other",
+  name: "",
+  mime: "",
+  size: 0,
+  addedAt: "",
+});
+
+// links to lines that are gone fall back to the whole PO
+export const normalizeAttachments = (list, items = []) =>
+  Array.isArray(list)
+    ? list.map((a) => {
+        const out = { ...defaultAttachment(), ...a };
+        return items.some((r) => r.id === out.lineId) ? out : { ...out, lineId: null };
+      })
+    : [];
+
+export const canPreview = (mime) => /^image\//.test(mime) || mime === "application/pdf";
+
+export const sizeLabel = (bytes) =>
+  bytes < 1024 ? `${bytes} B` : bytes < 1048576 ? `${(bytes / 1024).toFixed(0)} KB` : `${(bytes / 1048576).toFixed(1)} MB`;
+
+/* ---------- Checklist ---------- */
+// ids of lines with a TPI agency but no TPI release note attached; they can't ship yet
+export const missingTpiNotes = (po) =>
+  po.items
+    .filter(
+      (r) => String(r.tpi ?? "").trim() && !(po.attachments || []).some((a) => a.lineId === r.id && a.type === "tpi")
+    )
+    .map((r) => r.id);
+
+/* ---------- IndexedDB ---------- */
+const DB_NAME = "po_attachments";
+const STORE = "files";
+
+const openDB = () =>
+  new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const run = async (mode, fn) => {
+  const db = await openDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+export const putFile = (id, blob) => run("readwrite", (s) => s.put(blob, id));
+
+export const getFile = (id) => run("readonly", (s) => s.get(id));
+
+// drop stored files no PO refers to any more (removed attachments, deleted POs)
+export const pruneFiles = async (keepIds) => {
+  const keep = new Set(keepIds);
+  const ids = (await run("readonly", (s) => s.getAllKeys())) || [];
+  const stale = ids.filter((id) => !keep.has(id));
+  if (stale.length) await run("readwrite", (s) => stale.forEach((id) => s.delete(id)));
+  return stale.length;
+};
@@ -0,0 +1,132 @@
+import { ITEM_FIELDS, LINE_DATE_FIELDS, money, soldQtyOf } from "./po";
+import { approvalLabel } from "./approvals";
+import { ATTACHMENT_TYPES } from "./attachments";
+import { invoiceAmountsOf } from "./invoices";
+import { receivedQtyOf, shippedQtyOf } from "./shipments";
+import { orderedCostOf, orderedQtyOf } from "./supplier";
+
+/* ---------- Who ---------- */
+const USER_KEY = "po_user_name";
+
+export const getUserName = () => localStorage.getItem(USER_KEY) || "";
+export const setUserName = (name) => localStorage.setItem(USER_KEY, name.trim());
+
+/* ---------- Diff ---------- */
+export const HEADER_LABELS = {
+  poNumber: "PO Number",
+  ltsaNumber: "LTSA Number",
+  beneficiaryName: "Beneficiary",
+  ltsaDescription: "LTSA Description",
+  dateOfIssue: "Date of Issue",
+  siteDate: "Required on Site Date",
+  francoDate: "Required Franco Date",
+  status: "Status",
+  currency: "Currency",
+  taxRate: "VAT %",
+  reportingCurrency: "Reporting Currency",
+  exchangeRate: "Exchange Rate",
+};
+
+const str = (v) => (v == null ? "" : String(v));
+
+// per-line lists of a PO, keyed by line id
+const LINE_LISTS = ["sales", "shipments", "supplierOrders"];
+
+const rowName = (r) => `Line ${r.lineNo}${r.item ? ` (${r.item})` : ""}`;
+
+// field-level changes between two versions of a PO: [{ field, from, to }]
+export const diffPO = (prev, next) => {
+  const out = [];
+  const push = (field, from, to) => {
+    if (str(from) !== str(to)) out.push({ field, from: str(from), to: str(to) });
+  };
+
+  push("LTSA Contract", prev.option, next.option);
+  Object.entries(HEADER_LABELS).forEach(([k, label]) => push(label, prev.header?.[k], next.header?.[k]));
+
+  // lines are matched by id, so a reorder shows up as one "Line order" change
+  const pi = prev.items || [];
+  const ni = next.items || [];
+  const before = new Map(pi.map((r) => [r.id, r]));
+  const after = new Set(ni.map((r) => r.id));
+  // every edit replaces what it touches, so a line whose objects are all the same ones is unchanged
+  // (this keeps a keystroke on a 2,000-line PO from comparing every line)
+  const sameCurrency = prev.header?.currency === next.header?.currency;
+  const untouched = (p, r) =>
+    p === r && sameCurrency && LINE_LISTS.every((k) => prev[k]?.[r.id] === next[k]?.[r.id]);
+  ni.forEach((r) => {
+    const p = before.get(r.id);
+    if (!p) return push(rowName(r), "", "added");
+    if (untouched(p, r)) return;
+    const id = r.id;
+    [...ITEM_FIELDS, ...LINE_DATE_FIELDS].forEach((f) => push(`${rowName(r)} · ${f.label}`, p[f.key], r[f.key]));
+    push(`${rowName(r)} · Sold QTY`, soldQtyOf(prev.sales?.[id]), soldQtyOf(next.sales?.[id]));
+    push(`${rowName(r)} · Shipped QTY`, shippedQtyOf(prev.shipments?.[id]), shippedQtyOf(next.shipments?.[id]));
+    push(`${rowName(r)} · Received QTY`, receivedQtyOf(prev.shipments?.[id]), receivedQtyOf(next.shipments?.[id]));
+    push(
+      `${rowName(r)} · Ordered from supplier`,
+      orderedQtyOf(prev.supplierOrders?.[id]),
+      orderedQtyOf(next.supplierOrders?.[id])
+    );
+    push(
+      `${rowName(r)} · Supplier cost`,
+      money(orderedCostOf(prev.supplierOrders?.[id], prev.header?.currency).cost, prev.header?.currency),
+      money(orderedCostOf(next.supplierOrders?.[id], next.header?.currency).cost, next.header?.currency)
+    );
+  });
+  pi.filter((r) => !after.has(r.id)).forEach((r) => push(rowName(r), "present", "removed"));
+  const reordered = pi.length === ni.length && pi.some((r, i) => r.id !== ni[i].id || r.lineNo !== ni[i].lineNo);
+  if (reordered && pi.every((r) => after.has(r.id))) {
+    const order = (items) => items.map((r) => r.lineNo).join(", ");
+    push("Line order", order(pi), order(ni));
+  }
+
+  const numbers = (po) => (po.invoices || []).map((inv) => inv.number).join(", ");
+  const paid = (po) => (po.invoices || []).reduce((a, inv) => a + invoiceAmountsOf(inv).paid, 0);
+  push("Invoices", numbers(prev), numbers(next));
+  const lineNoOf = (po, id) => (po.items || []).find((r) => r.id === id)?.lineNo ?? "?";
+  const docs = (po) =>
+    (po.attachments || [])
+      .map((a) => `${a.name} [${ATTACHMENT_TYPES[a.type] || a.type}${a.lineId ? `, line ${lineNoOf(po, a.lineId)}` : ""}]`)
+      .join(", ");
+  push("Documents", docs(prev), docs(next));
+  push("Payments received", money(paid(prev), prev.header?.currency), money(paid(next), next.header?.currency));
+
+  // price / QTY requests by state: "" -> pending -> approved | rejected
+  const asked = new Map((prev.approvals || []).map((a) => [a.id, a]));
+  (next.approvals || []).forEach((a) => {
+    const r = ni.find((x) => x.id === a.lineId);
+    const where = !a.lineId ? "Header" : r ? rowName(r) : "removed line";
+    const what = `${approvalLabel(a.field)} ${a.from || "—"} → ${a.to}`;
+    push(`Approval · ${where} · ${what}`, asked.get(a.id)?.status, a.status);
+  });
+
+  return out;
+};
+
+// stamped audit entries for one change made by `user` (the name of whoever is working)
+export const auditEntries = (prev, next, via = "edit", user = "(anonymous)") => {
+  const at = new Date().toISOString();
+  return diffPO(prev, next).map((d) => ({ ...d, at, user, via }));
+};
+
+/* ---------- Log ---------- */
+export const COALESCE_MS = 1500; // a typing burst on the same field(s) is one entry (and one undo step)
+
+// adds `changes` to the log; edits of the same field(s) by the same person right after the last entries
+// update them instead (first `from`, latest `to` and time), so typing "12345" logs one change, not five
+export const appendAudit = (log = [], changes) => {
+  if (!changes.length) return log;
+  const tail = log.slice(-changes.length);
+  const now = Date.parse(changes[0].at);
+  const same = (t, c) =>
+    t.field === c.field &&
+    t.user === c.user &&
+    t.via === "edit" &&
+    c.via === "edit" &&
+    now - Date.parse(t.at) < COALESCE_MS;
+  if (tail.length !== changes.length || !changes.every((c, i) => same(tail[i], c))) return [...log, ...changes];
+  // a field typed back to where it started is no change at all
+  const merged = tail.map((t, i) => ({ ...t, to: changes[i].to, at: changes[i].at })).filter((t) => t.from !== t.to);
+  return [...log.slice(0, -changes.length), ...merged];
+};
@@ -0,0 +1,116 @@
+import { money, parseNum } from "./po";
+
+/* ---------- Keys ---------- */
+export const CATALOG_KEY = "po_catalog_v1";
+
+// item fields a catalog entry holds (besides its MAXIMO NO.) and fills into a new line
+export const CATALOG_FIELDS = ["item", "description", "tpi", "material", "grade", "unitCode"];
+
+// fields whose difference from the catalog is flagged on the line
+export const MISMATCH_FIELDS = ["description", "grade"];
+
+/* ---------- Entries ---------- */
+// entries are keyed by MAXIMO NO., compared without case or surrounding spaces
+export const catalogKey = (maximoNo) => String(maximoNo ?? "").trim().toUpperCase();
+
+const same = (a, b) => String(a ?? "").trim().toLowerCase() === String(b ?? "").trim().toLowerCase();
+
+export const entryFromItem = (r) => ({
+  maximoNo: String(r.maximoNo ?? "").trim(),
+  ...Object.fromEntries(CATALOG_FIELDS.map((k) => [k, String(r[k] ?? "").trim()])),
+});
+
+/* ---------- Load / save ---------- */
+export const loadCatalog = () => {
+  try {
+    const c = JSON.parse(localStorage.getItem(CATALOG_KEY) || "null");
+    if (c && typeof c === "object" && !Array.isArray(c)) return c;
+  } catch {
+    // start empty
+  }
+  return {};
+};
+
+export const saveCatalog = (c) => localStorage.setItem(CATALOG_KEY, JSON.stringify(c));
+
+/* ---------- Building ---------- */
+const byIssueDesc = (a, b) =>
+  String(b.header.dateOfIssue || "").localeCompare(String(a.header.dateOfIssue || "")) ||
+  String(b.updatedAt || "").localeCompare(String(a.updatedAt || ""));
+
+// adds MAXIMO numbers the catalog doesn't know yet, taken from their most recent PO;
+// existing entries are never overwritten (they may have been corrected by hand). Returns `catalog` when nothing is new.
+export const harvestCatalog = (catalog, pos) => {
+  let next = catalog;
+  [...pos].sort(byIssueDesc).forEach((p) =>
+    p.items.forEach((r) => {
+      const key = catalogKey(r.maximoNo);
+      if (!key || next[key] || !(String(r.item).trim() || String(r.description).trim())) return;
+      if (next === catalog) next = { ...catalog };
+      next[key] = entryFromItem(r);
+    })
+  );
+  return next;
+};
+
+// imported rows overwrite the fields they fill in; rows without a MAXIMO NO. are skipped
+export const mergeCatalog = (catalog, items) => {
+  const next = { ...catalog };
+  items.forEach((r) => {
+    const key = catalogKey(r.maximoNo);
+    if (!key) return;
+    const filled = Object.fromEntries(Object.entries(entryFromItem(r)).filter(([, v]) => v));
+    next[key] = { ...entryFromItem({}), ...next[key], ...filled };
+  });
+  return next;
+};
+
+/* ---------- Lookups ---------- */
+// the entry for a line, by MAXIMO NO. or else by an item code only one entry uses
+export const catalogEntryOf = (catalog, r) => {
+  const hit = catalog[catalogKey(r?.maximoNo)];
+  if (hit || !String(r?.item ?? "").trim()) return hit || null;
+  const byItem = Object.values(catalog).filter((e) => same(e.item, r.item));
+  return byItem.length === 1 ? byItem[0] : null;
+};
+
+// catalog fields the line leaves blank; typed values are never replaced
+export const catalogFill = (entry, r) =>
+  Object.fromEntries(
+    ["maximoNo", ...CATALOG_FIELDS].filter((k) => entry[k] && !String(r[k] ?? "").trim()).map((k) => [k, entry[k]])
+  );
+
+// { field: catalog value } for the flagged fields the line spells differently
+export const mismatchesOf = (entry, r) => {
+  if (!entry) return {};
+  const differs = (k) => entry[k] && String(r[k] ?? "").trim() && !same(entry[k], r[k]);
+  return Object.fromEntries(MISMATCH_FIELDS.filter(differs).map((k) => [k, entry[k]]));
+};
+
+/* ---------- Price history ---------- */
+// MAXIMO key -> quotes across the register, newest first: [{ poId, poNumber, date, lineNo, unitPrice, currency }]
+export const priceHistoryOf = (pos) => {
+  const out = new Map();
+  [...pos].sort(byIssueDesc).forEach((p) =>
+    p.items.forEach((r) => {
+      const key = catalogKey(r.maximoNo);
+      if (!key || !(parseNum(r.unitPrice) > 0)) return;
+      if (!out.has(key)) out.set(key, []);
+      out.get(key).push({
+        poId: p.id,
+        poNumber: p.header.poNumber,
+        date: p.header.dateOfIssue,
+        lineNo: r.lineNo,
+        unitPrice: r.unitPrice,
+        currency: p.header.currency,
+      });
+    })
+  );
+  return out;
+};
+
+export const quoteLabel = (q) => `${money(q.unitPrice, q.currency)} ${q.currency}`;
+
+// one line per quote, for a tooltip
+export const quotesText = (quotes) =>
+  quotes.map((q) => `PO ${q.poNumber} (${q.date || "no date"}), line ${q.lineNo}: ${quoteLabel(q)}`).join("\n");
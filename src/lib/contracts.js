@@ -0,0 +1,101 @@
+import { money, parseNum, totalsOf } from "./po";
+import { beneficiaryOf } from "./master";
+import { isAtOrPast } from "./workflow";
+
+/* ---------- Values ---------- */
+// totals per PO object: edits replace the PO, so only the one being edited is summed again
+const totalsCache = new WeakMap();
+const cachedTotals = (po) => {
+  if (!totalsCache.has(po)) totalsCache.set(po, totalsOf(po));
+  return totalsCache.get(po);
+};
+
+// PO grand total expressed in the contract currency, or null when there is no rate to get there
+export const valueIn = (po, currency) => {
+  const t = cachedTotals(po);
+  if (po.header.currency === currency) return t.grand;
+  if (po.header.reportingCurrency === currency && t.reporting !== null) return t.reporting;
+  return null;
+};
+
+const isInvoiced = (po) => isAtOrPast(po.header.status, "Invoiced");
+
+const ltsaKey = (n) => String(n ?? "").trim();
+
+/* ---------- Aggregation ---------- */
+// per-item quantities called off against one LTSA, keyed by MAXIMO NO. (item code as fallback)
+const callOffsOf = (pos) => {
+  const byKey = new Map();
+  pos.forEach((po) =>
+    po.items.forEach((r) => {
+      const key = String(r.maximoNo || r.item || "").trim();
+      if (!key) return;
+      const row = byKey.get(key) || {
+        key, maximoNo: r.maximoNo, item: r.item, description: r.description, unitCode: r.unitCode,
+        qty: 0, poNumbers: new Set(),
+      };
+      row.qty += parseNum(r.qty);
+      row.poNumbers.add(po.header.poNumber);
+      byKey.set(key, row);
+    })
+  );
+  return [...byKey.values()]
+    .map((r) => ({ ...r, poNumbers: [...r.poNumbers] }))
+    .sort((a, b) => b.qty - a.qty);
+};
+
+// one entry per LTSA number found in master data or on any PO
+export const contractUsage = (master, pos) => {
+  const numbers = new Set([
+    ...master.contracts.map((c) => ltsaKey(c.number)),
+    ...pos.map((p) => ltsaKey(p.header.ltsaNumber)),
+  ]);
+  numbers.delete("");
+
+  return [...numbers].map((number) => {
+    const contract = master.contracts.find((c) => ltsaKey(c.number) === number) || null;
+    const currency = contract?.currency || "KWD";
+    const list = pos.filter((p) => ltsaKey(p.header.ltsaNumber) === number);
+
+    let committed = 0;
+    let invoiced = 0;
+    const unconverted = [];
+    list.forEach((po) => {
+      const v = valueIn(po, currency);
+      if (v === null) return unconverted.push(po.header.poNumber);
+      committed += v;
+      if (isInvoiced(po)) invoiced += v;
+    });
+
+    const ceiling = contract ? parseNum(contract.ceiling) : 0;
+    return {
+      number,
+      contract,
+      beneficiary: beneficiaryOf(master, contract)?.name || list[0]?.header.beneficiaryName || "",
+      currency,
+      pos: list,
+      committed,
+      invoiced,
+      ceiling,
+      remaining: ceiling ? ceiling - committed : null,
+      pctUsed: ceiling ? (committed / ceiling) * 100 : null,
+      unconverted,
+      callOffs: callOffsOf(list),
+    };
+  });
+};
+
+// warning when this PO pushes its LTSA past the ceiling, else ""; only that LTSA is summed, as this runs
+// on every edit
+export const ceilingWarning = (master, pos, po) => {
+  const number = ltsaKey(po.header.ltsaNumber);
+  const contract = number ? master.contracts.find((c) => ltsaKey(c.number) === number) : null;
+  const ceiling = contract ? parseNum(contract.ceiling) : 0;
+  if (!ceiling) return "";
+  const cur = contract.currency || "KWD";
+  const committed = pos
+    .filter((p) => ltsaKey(p.header.ltsaNumber) === number)
+    .reduce((a, p) => a + (valueIn(p, cur) ?? 0), 0);
+  if (committed <= ceiling) return "";
+  return `LTSA ${number} ceiling exceeded: ${money(committed, cur)} committed against a ceiling of ${money(ceiling, cur)} ${cur}.`;
+};
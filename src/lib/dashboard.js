@@ -0,0 +1,189 @@
+import { STATUS_STEPS, lineAmountsOf, money, parseNum, soldQtyOf, totalsOf } from "./po";
+import { invoiceAmountsOf } from "./invoices";
+import { receivedQtyOf } from "./shipments";
+
+const TOP_REMAINING = 10;
+
+const todayISO = () => new Date().toISOString().slice(0, 10);
+
+/* ---------- Filters ---------- */
+// range of YYYY-MM-DD dates, either end may be blank; POs are picked by Date of Issue
+export const inRange = (iso, { from, to }) => (!from || (!!iso && iso >= from)) && (!to || (!!iso && iso <= to));
+
+/* ---------- Currency ---------- */
+// factor from the PO currency to `currency`, or null when the PO has no rate to get there
+export const rateTo = (po, currency) => {
+  if (po.header.currency === currency) return 1;
+  const rate = parseNum(po.header.exchangeRate);
+  return po.header.reportingCurrency === currency && rate > 0 ? rate : null;
+};
+
+// currencies the POs can be shown in, the most used first
+export const currenciesOf = (pos) => {
+  const counts = new Map();
+  pos.forEach((p) =>
+    [p.header.currency, p.header.reportingCurrency]
+      .filter(Boolean)
+      .forEach((c) => counts.set(c, (counts.get(c) || 0) + 1))
+  );
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([c]) => c);
+};
+
+/* ---------- Aggregation ---------- */
+const bump = (map, key, make, fn) => {
+  if (!map.has(key)) map.set(key, make());
+  fn(map.get(key));
+};
+
+// every figure of the dashboard for the POs issued in `range`, valued in `currency`;
+// POs without a rate to that currency are counted but not valued (listed in `unconverted`)
+export const dashboardOf = (pos, { range, currency, today = todayISO() }) => {
+  const list = pos.filter((p) => inRange(p.header.dateOfIssue, range));
+  const unconverted = [];
+  const contracts = new Map();
+  const stages = new Map(STATUS_STEPS.map((s) => [s, { stage: s, count: 0, value: 0 }]));
+  const months = new Map();
+  const remaining = new Map();
+  const delivery = { onTime: 0, late: 0, overdue: 0, open: 0 };
+  let value = 0;
+  let invoiced = 0;
+
+  list.forEach((po) => {
+    const { header } = po;
+    const rate = rateTo(po, currency);
+    if (rate === null) unconverted.push(header.poNumber || "(no number)");
+    const v = totalsOf(po).grand * (rate ?? 0);
+    value += v;
+
+    const ltsa = String(header.ltsaNumber || "").trim() || "(no LTSA)";
+    const beneficiary = header.beneficiaryName || "";
+    bump(contracts, `${ltsa}|${beneficiary}`, () => ({ ltsa, beneficiary, count: 0, value: 0 }), (c) => {
+      c.count += 1;
+      c.value += v;
+    });
+    const stage = stages.get(header.status);
+    if (stage) {
+      stage.count += 1;
+      stage.value += v;
+    }
+
+    // issued by Date of Issue, invoiced by invoice date
+    const toMonth = (iso, k, n) => {
+      const month = String(iso || "").slice(0, 7);
+      if (month) bump(months, month, () => ({ month, issued: 0, invoiced: 0 }), (m) => (m[k] += n));
+    };
+    toMonth(header.dateOfIssue, "issued", v);
+    (po.invoices || []).forEach((inv) => {
+      const amount = invoiceAmountsOf(inv).total * (rate ?? 0);
+      invoiced += amount;
+      toMonth(inv.date, "invoiced", amount);
+    });
+
+    // received shipments count once each; lines still short after the Franco date are overdue
+    const franco = header.francoDate;
+    po.items.forEach((r) => {
+      const shipments = po.shipments?.[r.id] || [];
+      shipments.forEach((s) => {
+        if (!s.receivedDate) return;
+        if (!franco || s.receivedDate <= franco) delivery.onTime += 1;
+        else delivery.late += 1;
+      });
+      const qty = parseNum(r.qty);
+      if (qty > 0 && receivedQtyOf(shipments) < qty) {
+        if (franco && franco < today) delivery.overdue += 1;
+        else delivery.open += 1;
+      }
+
+      const left = Math.max(qty - soldQtyOf(po.sales?.[r.id]), 0);
+      if (!left) return;
+      const material = String(r.material || "").trim() || "(no material)";
+      const grade = String(r.grade || "").trim() || "(no grade)";
+      const key = `${material}|${grade}`.toLowerCase();
+      bump(remaining, key, () => ({ material, grade, qty: 0, value: 0, lines: 0 }), (x) => {
+        x.qty += left;
+        // valued like the line itself: the remaining QTY at its price, less its discount
+        x.value += lineAmountsOf({ ...r, qty: left }).net * (rate ?? 0);
+        x.lines += 1;
+      });
+    });
+  });
+
+  const inMonths = ({ month }) =>
+    (!range.from || month >= range.from.slice(0, 7)) && (!range.to || month <= range.to.slice(0, 7));
+
+  return {
+    count: list.length,
+    value,
+    invoiced,
+    unconverted,
+    contracts: [...contracts.values()].sort((a, b) => b.value - a.value),
+    stages: [...stages.values()],
+    // invoices can fall after the range; their months are left out
+    months: [...months.values()].filter(inMonths).sort((a, b) => a.month.localeCompare(b.month)),
+    delivery,
+    remaining: [...remaining.values()].sort((a, b) => b.qty - a.qty).slice(0, TOP_REMAINING),
+  };
+};
+
+/* ---------- CSV ---------- */
+export const DASHBOARD_TABLES = {
+  kpis: "KPIs",
+  contracts: "Value by LTSA",
+  stages: "POs by Status",
+  months: "Issued vs Invoiced by Month",
+  delivery: "Deliveries vs Franco Date",
+  remaining: "Top Remaining by Material / Grade",
+};
+
+export const onTimePct = ({ onTime, late }) => (onTime + late ? (onTime / (onTime + late)) * 100 : null);
+
+// rows (first one the header) of one dashboard table
+export const dashboardTable = (d, kind, currency) => {
+  const m = (n) => money(n, currency);
+  switch (kind) {
+    case "kpis":
+      return [
+        ["KPI", "Value"],
+        ["POs", d.count],
+        [`PO value (${currency})`, m(d.value)],
+        [`Invoiced (${currency})`, m(d.invoiced)],
+        [`Not yet invoiced (${currency})`, m(d.value - d.invoiced)],
+        ["On-time deliveries %", onTimePct(d.delivery)?.toFixed(1) ?? ""],
+        ["Lines overdue", d.delivery.overdue],
+        [`POs without a rate to ${currency}`, d.unconverted.join(" ")],
+      ];
+    case "contracts":
+      return [
+        ["LTSA", "Beneficiary", "POs", `Value (${currency})`],
+        ...d.contracts.map((c) => [c.ltsa, c.beneficiary, c.count, m(c.value)]),
+      ];
+    case "stages":
+      return [["Status", "POs", `Value (${currency})`], ...d.stages.map((s) => [s.stage, s.count, m(s.value)])];
+    case "months":
+      return [
+        ["Month", `Issued (${currency})`, `Invoiced (${currency})`],
+        ...d.months.map((x) => [x.month, m(x.issued), m(x.invoiced)]),
+      ];
+    case "delivery":
+      return [
+        ["Deliveries", "Count"],
+        ["Received on time", d.delivery.onTime],
+        ["Received late", d.delivery.late],
+        ["Open lines, past Franco date", d.delivery.overdue],
+        ["Open lines, not yet due", d.delivery.open],
+      ];
+    case "remaining":
+      return [
+        ["Material", "Grade", "Remaining QTY", "Lines", `Value (${currency})`],
+        ...d.remaining.map((x) => [x.material, x.grade, x.qty, x.lines, m(x.value)]),
+      ];
+    default:
+      return [];
+  }
+};
+
+// every table, one under the other with its title
+export const dashboardCSVRows = (d, currency, range) => [
+  ["PO dashboard", `Date of Issue ${range.from || "…"} to ${range.to || "…"}`, `Values in ${currency}`],
+  ...Object.entries(DASHBOARD_TABLES).flatMap(([kind, title]) => [[], [title], ...dashboardTable(d, kind, currency)]),
+];
@@ -0,0 +1,125 @@
+import { daysUntil } from "./po";
+import { lineStepOf } from "./shipments";
+import { isISODate } from "./validation";
+import { isAtOrPast } from "./workflow";
+
+/* ---------- Thresholds ---------- */
+const THRESHOLDS_KEY = "po_deadline_thresholds_v1";
+const NOTIFIED_KEY = "po_deadline_notified_v1";
+
+export const DEFAULT_THRESHOLDS = { warnDays: 15, urgentDays: 5 };
+
+export const loadThresholds = () => {
+  try {
+    return { ...DEFAULT_THRESHOLDS, ...JSON.parse(localStorage.getItem(THRESHOLDS_KEY) || "{}") };
+  } catch {
+    return DEFAULT_THRESHOLDS;
+  }
+};
+
+export const saveThresholds = (t) => localStorage.setItem(THRESHOLDS_KEY, JSON.stringify(t));
+
+/* ---------- Levels ---------- */
+export const LEVELS = {
+  overdue: { label: "Overdue", color: "#b91c1c" },
+  urgent: { label: "Urgent", color: "#c2410c" },
+  warn: { label: "Approaching", color: "#b45309" },
+  ok: { label: "On track", color: "#065f46" },
+  done: { label: "Delivered", color: "#6b7280" },
+  invalid: { label: "No valid date", color: "#6b7280" },
+};
+
+export const levelOf = (days, t = DEFAULT_THRESHOLDS, done = false) => {
+  if (done) return "done";
+  if (isNaN(days)) return "invalid";
+  if (days < 0) return "overdue";
+  if (days <= t.urgentDays) return "urgent";
+  if (days <= t.warnDays) return "warn";
+  return "ok";
+};
+
+/* ---------- Rows ---------- */
+const DATE_KINDS = [
+  ["francoDate", "Franco"],
+  ["siteDate", "Required on Site"],
+];
+
+const LINE_KINDS = [
+  ["promisedDate", "Promised"],
+  ["requiredDate", "Required"],
+];
+
+const rowFor = (key, po, kind, date, done, t) => {
+  const days = isISODate(date) ? daysUntil(date) : NaN;
+  return { key, po, kind, date, days, level: levelOf(days, t, done) };
+};
+
+// one row per PO date, plus one per dated line; PO rows are "done" once Delivered, lines once Stored
+export const deadlineRows = (pos, t = DEFAULT_THRESHOLDS) =>
+  pos.flatMap((po) => {
+    const done = isAtOrPast(po.header.status, "Delivered");
+    const header = DATE_KINDS.map(([field, kind]) =>
+      rowFor(`${po.id}:${field}`, po, kind, po.header[field], done, t)
+    );
+    const lines = po.items.flatMap((r) => {
+      const lineDone = done || lineStepOf(r, po.shipments?.[r.id]) === "Stored";
+      return LINE_KINDS.filter(([field]) => r[field]).map(([field, kind]) =>
+        rowFor(`${po.id}:${r.id}:${field}`, po, `Line ${r.lineNo}${r.item ? ` (${r.item})` : ""} · ${kind}`, r[field], lineDone, t)
+      );
+    });
+    return [...header, ...lines];
+  });
+
+/* ---------- Notifications ---------- */
+// one browser notification per deadline per day for overdue/urgent/approaching Franco dates
+export const notifyDeadlines = (rows) => {
+  if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+  const today = new Date().toISOString().slice(0, 10);
+  let seen = {};
+  try {
+    seen = JSON.parse(localStorage.getItem(NOTIFIED_KEY) || "{}");
+  } catch {
+    seen = {};
+  }
+  rows
+    .filter((r) => r.kind === "Franco" && ["overdue", "urgent", "warn"].includes(r.level))
+    .filter((r) => seen[r.key] !== today)
+    .forEach((r) => {
+      const when = r.days < 0 ? `passed ${-r.days} day(s) ago` : `in ${r.days} day(s)`;
+      new Notification(`PO ${r.po.header.poNumber}: Franco date ${when}`, {
+        body: `${r.po.header.beneficiaryName} — status ${r.po.header.status} (Franco ${r.date})`,
+        tag: r.key,
+      });
+      seen[r.key] = today;
+    });
+  localStorage.setItem(NOTIFIED_KEY, JSON.stringify(seen));
+};
+
+/* ---------- Calendar ---------- */
+const icsText = (s) => String(s ?? "").replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\r?\n/g, "\\n");
+const icsDate = (iso) => iso.replace(/-/g, "");
+const nextDay = (iso) => {
+  const d = new Date(iso + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+};
+
+// all-day VEVENTs for every row with a valid date
+export const toICS = (rows) => {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+  const events = rows
+    .filter((r) => isISODate(r.date))
+    .map((r) =>
+      [
+        "BEGIN:VEVENT",
+        `UID:${r.key}@contract-operation`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${icsDate(r.date)}`,
+        `DTEND;VALUE=DATE:${icsDate(nextDay(r.date))}`,
+        `SUMMARY:${icsText(`PO ${r.po.header.poNumber} – ${r.kind} date`)}`,
+        `DESCRIPTION:${icsText(`${r.po.header.beneficiaryName}\nLTSA ${r.po.header.ltsaNumber}\nStatus: ${r.po.header.status}`)}`,
+        "END:VEVENT",
+      ].join("\r\n")
+    );
+  return ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//contract-operation//PO deadlines//EN", ...events, "END:VCALENDAR"].join("\r\n");
+};
@@ -0,0 +1,30 @@
+// saves a Blob through a temporary <a download> link
+export const downloadBlob = (blob, name) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = name; a.click();
+  URL.revokeObjectURL(url);
+};
+
+// file-name safe slug of a PO number
+export const fileSlug = (s, fallback = "draft") =>
+  String(s || "").trim().replace(/[^\w.-]+/g, "_") || fallback;
+
+// draws an inline <svg> (sized by its viewBox) onto a white canvas and saves it as a PNG
+export const downloadSVGAsPNG = (svg, name, scale = 2) =>
+  new Promise((ok, fail) => {
+    const { width, height } = svg.viewBox.baseVal;
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob((blob) => (blob ? ok(downloadBlob(blob, name)) : fail(new Error("The chart could not be saved."))));
+    };
+    img.onerror = () => fail(new Error("The chart could not be drawn as an image."));
+    img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(new XMLSerializer().serializeToString(svg))}`;
+  });
@@ -0,0 +1,96 @@
+import { lineAmountsOf, money, newId, parseNum } from "./po";
+
+/* ---------- Defaults ---------- */
+export const PAYMENT_TERMS_DAYS = 30;
+
+// invoice lines snapshot the price at issue time; `lineId` is the item line they bill
+export const defaultInvoice = () => ({
+  id: newId(),
+  number: "",   // INV-YYYY-NNNN, unique across the register
+  date: "",     // YYYY-MM-DD
+  dueDate: "",  // YYYY-MM-DD
+  currency: "KWD",
+  taxRate: "",
+  lines: [],    // { lineId, qty, unitPrice, discountPct }
+  payments: [], // { id, date, amount, ref }
+  notes: "",
+});
+
+export const defaultPayment = () => ({ id: newId(), date: "", amount: "", ref: "" });
+
+export const normalizeInvoices = (invoices) =>
+  Array.isArray(invoices)
+    ? invoices.map((inv) => ({
+        ...defaultInvoice(),
+        ...inv,
+        lines: Array.isArray(inv.lines) ? inv.lines : [],
+        payments: Array.isArray(inv.payments) ? inv.payments.map((p) => ({ ...defaultPayment(), ...p })) : [],
+      }))
+    : [];
+
+/* ---------- Dates & numbers ---------- */
+export const addDays = (iso, days) => {
+  const d = new Date(iso + "T00:00:00Z");
+  if (isNaN(d)) return "";
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+// next free number for the invoice year, counting invoices of every PO in the register
+export const nextInvoiceNumber = (pos, dateISO) => {
+  const year = (dateISO || new Date().toISOString()).slice(0, 4);
+  const prefix = `INV-${year}-`;
+  const used = pos
+    .flatMap((p) => p.invoices || [])
+    .filter((inv) => inv.number.startsWith(prefix))
+    .map((inv) => parseInt(inv.number.slice(prefix.length), 10) || 0);
+  return `${prefix}${String(Math.max(0, ...used) + 1).padStart(4, "0")}`;
+};
+
+/* ---------- Amounts ---------- */
+export const invoiceAmountsOf = (inv) => {
+  const net = inv.lines.reduce((a, l) => a + lineAmountsOf(l).net, 0);
+  const tax = (net * Math.min(Math.max(parseNum(inv.taxRate), 0), 100)) / 100;
+  const paid = inv.payments.reduce((a, p) => a + parseNum(p.amount), 0);
+  const total = net + tax;
+  return { net, tax, total, paid, balance: Math.max(total - paid, 0) };
+};
+
+export const INVOICE_STATES = {
+  paid: { label: "Paid", color: "#065f46" },
+  partial: { label: "Partly paid", color: "#b45309" },
+  overdue: { label: "Overdue", color: "#b91c1c" },
+  open: { label: "Unpaid", color: "#2563eb" },
+};
+
+// rounding leftovers below one minor unit count as paid
+export const invoiceStateOf = (inv, todayISO = new Date().toISOString().slice(0, 10)) => {
+  const { paid, balance } = invoiceAmountsOf(inv);
+  if (balance < 0.0005) return "paid";
+  if (inv.dueDate && inv.dueDate < todayISO) return "overdue";
+  return paid > 0 ? "partial" : "open";
+};
+
+export const invoicedQtyOf = (invoices = [], lineId) =>
+  invoices.reduce(
+    (a, inv) => a + inv.lines.filter((l) => l.lineId === lineId).reduce((b, l) => b + parseNum(l.qty), 0),
+    0
+  );
+
+/* ---------- Completion gate ---------- */
+// reasons a PO can't move to Completed yet; empty when every unit is billed and every invoice paid
+export const completionBlockers = (po, remainingByRow) => {
+  const out = [];
+  const invoices = po.invoices || [];
+  if (!invoices.length) out.push("No invoice has been issued.");
+  remainingByRow.forEach((rem, i) => {
+    const r = po.items[i];
+    if (rem > 0) out.push(`Line ${r.lineNo}${r.item ? ` (${r.item})` : ""}: ${rem} not invoiced yet.`);
+  });
+  invoices
+    .filter((inv) => invoiceStateOf(inv) !== "paid")
+    .forEach((inv) =>
+      out.push(`${inv.number}: ${money(invoiceAmountsOf(inv).balance, inv.currency)} ${inv.currency} not received.`)
+    );
+  return out;
+};
@@ -0,0 +1,63 @@
+import { NUMERIC_ITEM_FIELDS, parseNum } from "./po";
+
+/* ---------- View state ---------- */
+// search / filters / sort shared by the Items, Sales and Remaining tables (not saved with the PO)
+export const DEFAULT_VIEW = {
+  query: "",
+  material: "",
+  grade: "",
+  tpi: "",
+  unitCode: "",
+  openOnly: false, // only rows with Remaining > 0
+  sortKey: "",
+  sortDir: "asc",
+};
+
+export const FILTER_FIELDS = [
+  { key: "material", label: "Material" },
+  { key: "grade", label: "Grade" },
+  { key: "tpi", label: "TPI" },
+  { key: "unitCode", label: "Unit Code" },
+];
+
+const SEARCH_FIELDS = ["maximoNo", "item", "description"];
+
+export const isFiltered = (view) =>
+  !!view.query.trim() || view.openOnly || FILTER_FIELDS.some((f) => view[f.key]);
+
+export const distinctValues = (items, key) =>
+  [...new Set(items.map((r) => String(r[key] ?? "").trim()).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+// next sort state when a header is clicked: asc → desc → off
+export const toggleSort = (view, key) => {
+  if (view.sortKey !== key) return { sortKey: key, sortDir: "asc" };
+  return view.sortDir === "asc" ? { sortKey: key, sortDir: "desc" } : { sortKey: "", sortDir: "asc" };
+};
+
+/* ---------- Rows ---------- */
+// indices of the rows to show, in display order; `computed` holds sort columns that aren't item fields
+// (e.g. { lineTotal: [...], sold: [...], remaining: [...] }, indexed by row)
+export const viewRows = (items, view, remainingByRow = [], computed = {}) => {
+  const q = view.query.trim().toLowerCase();
+  const rows = items
+    .map((_, i) => i)
+    .filter((i) => {
+      const r = items[i];
+      if (q && !SEARCH_FIELDS.some((k) => String(r[k] ?? "").toLowerCase().includes(q))) return false;
+      if (FILTER_FIELDS.some((f) => view[f.key] && String(r[f.key] ?? "").trim() !== view[f.key])) return false;
+      return !view.openOnly || remainingByRow[i] > 0;
+    });
+
+  const key = view.sortKey;
+  if (!key) return rows;
+  const numeric = NUMERIC_ITEM_FIELDS.includes(key) || key in computed;
+  const valueOf = (i) => (key in computed ? computed[key][i] : numeric ? parseNum(items[i][key]) : String(items[i][key] ?? ""));
+  const dir = view.sortDir === "desc" ? -1 : 1;
+  // ties keep line order so the sort is stable for equal values
+  return rows.sort((a, b) => {
+    const va = valueOf(a);
+    const vb = valueOf(b);
+    const c = numeric ? va - vb : va.localeCompare(vb, undefined, { numeric: true, sensitivity: "base" });
+    return c * dir || a - b;
+  });
+};
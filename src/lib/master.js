@@ -0,0 +1,77 @@
+import { BENEFICIARY_OPTIONS, defaultHeader, newId } from "./po";
+import { isISODate } from "./validation";
+
+/* ---------- Keys ---------- */
+export const MASTER_KEY = "po_master_v1";
+
+/* ---------- Defaults ---------- */
+export const defaultBeneficiary = () => ({ id: newId(), name: "", retired: false });
+
+export const defaultContract = (beneficiaryId = "") => ({
+  id: newId(),
+  beneficiaryId,
+  number: "",
+  description: "",
+  validFrom: "",
+  validTo: "",
+  ceiling: "",     // <- free text; numbers parsed
+  currency: "KWD",
+  retired: false,
+});
+
+// first run: the two hard-coded LTSAs; contract ids keep the old option keys so saved POs still match
+const seedMaster = () => {
+  const beneficiaries = [];
+  const contracts = Object.entries(BENEFICIARY_OPTIONS).map(([key, o]) => {
+    const b = { ...defaultBeneficiary(), id: key.split("_")[0], name: o.beneficiaryName };
+    beneficiaries.push(b);
+    return {
+      ...defaultContract(b.id),
+      id: key,
+      number: o.ltsaNumber,
+      description: defaultHeader().ltsaDescription,
+    };
+  });
+  return { beneficiaries, contracts };
+};
+
+/* ---------- Load / save ---------- */
+export const loadMaster = () => {
+  try {
+    const m = JSON.parse(localStorage.getItem(MASTER_KEY) || "null");
+    if (m && Array.isArray(m.beneficiaries) && Array.isArray(m.contracts)) return m;
+  } catch {
+    // fall through to the seed
+  }
+  return seedMaster();
+};
+
+export const saveMaster = (m) => localStorage.setItem(MASTER_KEY, JSON.stringify(m));
+
+/* ---------- Lookups ---------- */
+export const beneficiaryOf = (master, contract) =>
+  master.beneficiaries.find((b) => b.id === contract?.beneficiaryId);
+
+export const contractOf = (master, id) => master.contracts.find((c) => c.id === id);
+
+export const contractLabel = (master, c) =>
+  `${c.number || "(no number)"} – ${beneficiaryOf(master, c)?.name || "(no beneficiary)"}${c.retired ? " (retired)" : ""}`;
+
+// header fields a PO takes over when its contract is picked
+export const headerFromContract = (master, c) => ({
+  beneficiaryName: beneficiaryOf(master, c)?.name || "",
+  ltsaNumber: c.number,
+  ltsaDescription: c.description,
+});
+
+// warning text when the PO date falls outside the LTSA validity, else ""
+export const validityWarning = (c, dateOfIssue) => {
+  if (!c || !isISODate(dateOfIssue)) return "";
+  if (isISODate(c.validFrom) && dateOfIssue < c.validFrom) {
+    return `Date of Issue ${dateOfIssue} is before LTSA ${c.number} starts (${c.validFrom}).`;
+  }
+  if (isISODate(c.validTo) && dateOfIssue > c.validTo) {
+    return `Date of Issue ${dateOfIssue} is after LTSA ${c.number} expired (${c.validTo}).`;
+  }
+  return "";
+};
@@ -0,0 +1,232 @@
+/* ---------- Helpers ---------- */
+export const parseNum = (v) => {
+  if (v === null || v === undefined) return 0;
+  const n = parseFloat(String(v).replace(/[^\d.-]/g, ""));
+  return Number.isFinite(n) ? n : 0;
+};
+
+export const money = (n, currency) => parseNum(n).toFixed(decimalsOf(currency));
+
+export const daysUntil = (dateISO) => {
+  try {
+    const today = new Date();
+    const target = new Date(dateISO + "T23:59:59");
+    return Math.ceil((target - new Date(today.toDateString())) / 86400000);
+  } catch {
+    return NaN;
+  }
+};
+
+export const newId = () =>
+  globalThis.crypto?.randomUUID?.() ||
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/* ---------- Constants ---------- */
+// decimals = minor units per ISO 4217 (KWD has 1000 fils)
+export const CURRENCIES = {
+  KWD: { name: "Kuwaiti Dinars", decimals: 3 },
+  USD: { name: "US Dollars", decimals: 2 },
+  EUR: { name: "Euros", decimals: 2 },
+  GBP: { name: "Pounds Sterling", decimals: 2 },
+  AED: { name: "UAE Dirhams", decimals: 2 },
+  SAR: { name: "Saudi Riyals", decimals: 2 },
+  JPY: { name: "Japanese Yen", decimals: 0 },
+};
+
+export const decimalsOf = (currency) => CURRENCIES[currency]?.decimals ?? 2;
+
+export const STATUS_STEPS = [
+  "Supplier PO Released",
+  "Under Production",
+  "Shipped",
+  "Stored",
+  "Delivered",
+  "Invoiced",
+  "Completed",
+];
+
+export const statusColor = (s) =>
+  ({
+    "Supplier PO Released": "#2563eb",
+    "Under Production": "#7c3aed",
+    Shipped: "#0ea5e9",
+    Stored: "#0891b2",
+    Delivered: "#16a34a",
+    Invoiced: "#f59e0b",
+    Completed: "#111827",
+  }[s] || "#6b7280");
+
+export const BENEFICIARY_OPTIONS = {
+  KNPC_73000: {
+    beneficiaryName: "Kuwait National Petroleum Company",
+    ltsaNumber: "73000",
+    label: "Option 1: 73000 – Kuwait National Petroleum Company",
+  },
+  KIPIC_71449: {
+    beneficiaryName: "Kuwait Integrated Petroleum Industries Company",
+    ltsaNumber: "71449",
+    label: "Option 2: 71449 – Kuwait Integrated Petroleum Industries Company",
+  },
+};
+
+// letterhead shown on printed POs / delivery notes
+export const COMPANY = {
+  name: "Contract Operations",
+  addressLines: ["P.O. Box —, Kuwait"],
+  contact: "",
+};
+
+export const PO_TERMS = [
+  "Delivery must be made on or before the Required Franco Date stated above.",
+  "Items marked with a TPI agency shall be released by that agency before dispatch.",
+  "Material test certificates shall accompany every delivery for the material/grade ordered.",
+  "Prices are firm for the duration of this order and per the referenced LTSA.",
+  "Invoices must quote this PO number and the LTSA number.",
+];
+
+/* ---------- Defaults ---------- */
+export const defaultHeader = () => ({
+  poNumber: "419513",
+  ltsaNumber: BENEFICIARY_OPTIONS.KNPC_73000.ltsaNumber,
+  beneficiaryName: BENEFICIARY_OPTIONS.KNPC_73000.beneficiaryName,
+  ltsaDescription:
+    "Long-Term Service Agreement related to supply and support for refinery operations.",
+  dateOfIssue: "2025-04-16",
+  siteDate: "2025-08-14",
+  francoDate: "2025-08-14",
+  status: "Supplier PO Released",
+  currency: "KWD",
+  taxRate: "",           // VAT %, blank = no tax
+  reportingCurrency: "", // optional, e.g. USD
+  exchangeRate: "",      // 1 PO currency = N reporting currency, entered manually
+});
+
+export const defaultItem = () => ({
+  id: newId(),    // persistent line id; per-line data (sales, shipments, …) is keyed by it
+  maximoNo: "",
+  item: "",
+  description: "",
+  tpi: "",        // <- free text
+  material: "",   // <- free text
+  grade: "",      // <- free text
+  unitCode: "",   // <- free text
+  qty: "",        // <- free text; numbers parsed
+  unitPrice: "",  // <- free text; numbers parsed
+  discountPct: "", // <- free text; 0-100
+  lineNo: "", // stable line number, assigned once (see numberLines)
+  promisedDate: "", // YYYY-MM-DD, supplier promise for this line
+  requiredDate: "", // YYYY-MM-DD, needed on site for this line
+});
+
+// item columns in table order; labels match the Items table headers
+export const ITEM_FIELDS = [
+  { key: "maximoNo", label: "MAXIMO NO." },
+  { key: "item", label: "Item" },
+  { key: "description", label: "ITEM DESCRIPTION" },
+  { key: "tpi", label: "TPI" },
+  { key: "material", label: "Material" },
+  { key: "grade", label: "Grade" },
+  { key: "unitCode", label: "UNIT CODE" },
+  { key: "qty", label: "QTY" },
+  { key: "unitPrice", label: "UNIT PRICE" },
+  { key: "discountPct", label: "DISC %" },
+];
+
+export const NUMERIC_ITEM_FIELDS = ["qty", "unitPrice", "discountPct"];
+
+// per-line schedule (not part of the Items table columns)
+export const LINE_DATE_FIELDS = [
+  { key: "promisedDate", label: "Promised Date" },
+  { key: "requiredDate", label: "Required Date" },
+];
+
+// one sales/delivery transaction against an item line
+export const defaultSale = () => ({
+  id: newId(),
+  date: "",         // YYYY-MM-DD; empty for migrated quantities
+  qty: "",          // <- free text; numbers parsed
+  docNo: "",        // invoice / delivery note number
+  customerRef: "",
+  notes: "",
+});
+
+export const defaultState = () => ({
+  option: "KNPC_73000",
+  header: defaultHeader(),
+  items: [defaultItem()],
+  sales: {}, // line id -> sale transactions
+  shipments: {}, // line id -> shipments
+  supplierOrders: {}, // line id -> supplier POs
+  invoices: [], // issued invoices with their payments
+  attachments: [], // document metadata; file contents are in IndexedDB
+  approvals: [],     // price / QTY change requests, see approvals.js
+  statusHistory: [], // { from, to, at, reason }
+  auditLog: [],      // { at, user, field, from, to, via }
+});
+
+// fill a migrated item (see schema.js) with defaults
+export const normalizeItem = (r) => ({
+  id: r.id || newId(),
+  maximoNo: r.maximoNo ?? "",
+  item: r.item ?? "",
+  description: r.description ?? "",
+  tpi: r.tpi ?? "",
+  material: r.material ?? "",
+  grade: r.grade ?? "",
+  unitCode: r.unitCode ?? "",
+  qty: r.qty ?? "",
+  unitPrice: r.unitPrice ?? "",
+  discountPct: r.discountPct ?? "",
+  lineNo: r.lineNo ?? "",
+  promisedDate: r.promisedDate ?? "",
+  requiredDate: r.requiredDate ?? "",
+});
+
+// per-line lists are keyed by line id; lists of lines that no longer exist and empty lists are left out
+export const keyByLine = (lists, items, normalizeList) => {
+  const out = {};
+  items.forEach((r) => {
+    const list = Array.isArray(lists?.[r.id]) ? normalizeList(lists[r.id]) : [];
+    if (list.length) out[r.id] = list;
+  });
+  return out;
+};
+
+export const normalizeSales = (sales, items) =>
+  keyByLine(sales, items, (list) => list.map((t) => ({ ...defaultSale(), ...t })));
+
+/* ---------- Derived values ---------- */
+export const soldQtyOf = (txs = []) => txs.reduce((a, t) => a + parseNum(t.qty), 0);
+
+const pctOf = (v) => Math.min(Math.max(parseNum(v), 0), 100);
+
+// { gross, discount, net } for one item row
+export const lineAmountsOf = (row) => {
+  const gross = parseNum(row?.qty) * parseNum(row?.unitPrice);
+  const discount = (gross * pctOf(row?.discountPct)) / 100;
+  return { gross, discount, net: gross - discount };
+};
+
+// LINE TOTAL is net of the line discount
+export const lineTotalOf = (row) => lineAmountsOf(row).net;
+
+// footer breakdown for a whole PO; `reporting` is null until a rate and currency are entered
+export const totalsOf = ({ header = {}, items = [] }) => {
+  const lines = items.map(lineAmountsOf);
+  const subtotal = lines.reduce((a, l) => a + l.gross, 0);
+  const discount = lines.reduce((a, l) => a + l.discount, 0);
+  const net = subtotal - discount;
+  const tax = (net * pctOf(header.taxRate)) / 100;
+  const grand = net + tax;
+  const rate = parseNum(header.exchangeRate);
+  const reporting = header.reportingCurrency && rate > 0 ? grand * rate : null;
+  return { subtotal, discount, net, tax, grand, reporting };
+};
+
+export const francoInfoOf = (francoDate, warnDays = 15) => {
+  const d = daysUntil(francoDate);
+  if (isNaN(d)) return { text: "Invalid Franco Date", color: "#b91c1c" };
+  if (d < 0) return { text: `Franco date passed by ${Math.abs(d)} day(s).`, color: "#b91c1c" };
+  if (d <= warnDays) return { text: `${d} day(s) left until Franco date.`, color: "#b45309" };
+  return { text: `${d} day(s) left until Franco date.`, color: "#065f46" };
+};
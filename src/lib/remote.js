@@ -0,0 +1,149 @@
+import { makeEntry, normalizePO } from "./storage";
+
+/* ---------- Keys ---------- */
+const SERVER_KEY = "po_server_url";
+const SYNC_KEY = "po_sync_v1";
+
+// shared documents besides the POs (see server/index.js)
+export const DOCS = ["master", "catalog"];
+
+/* ---------- Config ---------- */
+// "" means this browser only
+export const loadServerUrl = () => localStorage.getItem(SERVER_KEY) || "";
+
+export const saveServerUrl = (url) => {
+  const clean = url.trim().replace(/\/+$/, "");
+  if (clean) localStorage.setItem(SERVER_KEY, clean);
+  else localStorage.removeItem(SERVER_KEY);
+  return clean;
+};
+
+// what this browser knows of the server: the version of every PO / document it last read or wrote, and the
+// changes still waiting to go up (kept across reloads, so edits made offline are sent later)
+export const emptySync = () => ({
+  versions: { pos: {}, master: 0, catalog: 0 },
+  pending: { pos: [], deleted: [], docs: [] },
+});
+
+export const loadSync = () => {
+  try {
+    const s = JSON.parse(localStorage.getItem(SYNC_KEY) || "null");
+    if (s?.versions && s?.pending) return s;
+  } catch {
+    // start over
+  }
+  return emptySync();
+};
+
+export const saveSync = (s) => localStorage.setItem(SYNC_KEY, JSON.stringify(s));
+
+// changes waiting to go up (a PO edited many times while offline counts once)
+export const pendingCount = ({ pending }) => pending.pos.length + pending.deleted.length + pending.docs.length;
+
+export const hasPending = (s) => pendingCount(s) > 0;
+
+/* ---------- Server adapter ---------- */
+// REST calls against the server at `base`; a 409 (someone else's newer version) comes back as
+// { conflict: true, version, ...current } instead of throwing, network and other errors throw
+export const serverStore = (base) => {
+  const call = async (method, path, body) => {
+    const res = await fetch(`${base}/api${path}`, {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : {},
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = res.status === 204 ? null : await res.json().catch(() => null);
+    if (res.status === 409) return { conflict: true, ...data };
+    if (!res.ok) throw new Error(data?.error || `${method} ${path} failed (${res.status}).`);
+    return data;
+  };
+  const poPath = (id) => `/pos/${encodeURIComponent(id)}`;
+  return {
+    listPOs: () => call("GET", "/pos"),
+    putPO: (po, version) => call("PUT", poPath(po.id), { version, po }),
+    deletePO: (id, version) => call("DELETE", `${poPath(id)}?version=${version}`),
+    getDoc: (name) => call("GET", `/${name}`),
+    putDoc: (name, data, version) => call("PUT", `/${name}`, { version, data }),
+  };
+};
+
+/* ---------- Change tracking ---------- */
+// objects that came from the server: finding them in the state is not a local change
+const fromServer = new WeakSet();
+
+export const markFromServer = (x) => {
+  if (x && typeof x === "object") fromServer.add(x);
+  return x;
+};
+
+const addOnce = (list, x) => (list.includes(x) ? list : [...list, x]);
+
+// records local changes between two { register, master, catalog } states as pending uploads;
+// POs compare by object identity, which every edit replaces
+export const trackChanges = (sync, prev, next) => {
+  let { pos, deleted, docs } = sync.pending;
+  const before = new Map(prev.register.pos.map((p) => [p.id, p]));
+  const now = new Set(next.register.pos.map((p) => p.id));
+  next.register.pos.forEach((p) => {
+    if (before.get(p.id) === p || fromServer.has(p)) return;
+    pos = addOnce(pos, p.id);
+    deleted = deleted.filter((id) => id !== p.id);
+  });
+  prev.register.pos.forEach((p) => {
+    if (now.has(p.id)) return;
+    pos = pos.filter((id) => id !== p.id);
+    // a PO the server never had just goes
+    if (sync.versions.pos[p.id]) deleted = addOnce(deleted, p.id);
+  });
+  DOCS.forEach((d) => {
+    if (prev[d] !== next[d] && !fromServer.has(next[d])) docs = addOnce(docs, d);
+  });
+  if (pos === sync.pending.pos && deleted === sync.pending.deleted && docs === sync.pending.docs) return sync;
+  return { ...sync, pending: { pos, deleted, docs } };
+};
+
+/* ---------- Pull ---------- */
+// merges the server's POs ([{ version, po }]) into the local list: a newer server copy wins unless this
+// browser has pending edits to it (the upload then finds the conflict), POs deleted on the server go,
+// POs the server never had are queued for upload. With `replace`, the server's list is taken as is.
+export const mergeRemotePOs = (local, remote, sync, replace = false) => {
+  const versions = replace ? {} : { ...sync.versions.pos };
+  const pending = new Set(replace ? [] : sync.pending.pos);
+  const deleted = new Set(replace ? [] : sync.pending.deleted);
+  const byId = new Map(remote.map((r) => [r.po.id, r]));
+  const take = (r) => {
+    versions[r.po.id] = r.version;
+    return markFromServer(normalizePO(r.po));
+  };
+
+  const pos = [];
+  if (!replace) {
+    local.forEach((p) => {
+      const r = byId.get(p.id);
+      if (!r) {
+        if (versions[p.id] && !pending.has(p.id)) delete versions[p.id];
+        else {
+          pos.push(p);
+          pending.add(p.id);
+        }
+      } else if (!pending.has(p.id) && r.version > (versions[p.id] || 0)) pos.push(take(r));
+      else pos.push(p);
+    });
+  }
+  remote.forEach((r) => {
+    if (!pos.some((p) => p.id === r.po.id) && !deleted.has(r.po.id)) pos.push(take(r));
+  });
+  if (!pos.length) {
+    const first = makeEntry();
+    pos.push(first);
+    pending.add(first.id);
+  }
+
+  return {
+    pos,
+    sync: {
+      versions: { ...sync.versions, pos: versions },
+      pending: { ...sync.pending, pos: [...pending], deleted: [...deleted] },
+    },
+  };
+};
@@ -0,0 +1,122 @@
+import { ITEM_FIELDS, NUMERIC_ITEM_FIELDS, decimalsOf, lineTotalOf, parseNum, soldQtyOf, totalsOf } from "./po";
+import { downloadBlob, fileSlug } from "./download";
+
+/* ---------- Report tables ---------- */
+export const REPORTS = {
+  purchase: "Purchase",
+  sales: "Sales",
+  remaining: "Remaining",
+};
+
+const headerBlock = (po) => [
+  ["PO Number", po.header.poNumber],
+  ["LTSA Number", po.header.ltsaNumber],
+  ["Beneficiary", po.header.beneficiaryName],
+  ["LTSA Description", po.header.ltsaDescription],
+  ["Date of Issue", po.header.dateOfIssue],
+  ["Required on Site Date", po.header.siteDate],
+  ["Required Franco Date", po.header.francoDate],
+  ["Status", po.header.status],
+  ["Currency", po.header.currency],
+  ["Exported", new Date().toISOString().slice(0, 10)],
+  [],
+];
+
+const round = (n, dp = 2) => Number(parseNum(n).toFixed(dp));
+
+const txSummary = (txs = []) =>
+  txs
+    .filter((t) => parseNum(t.qty))
+    .map((t) => [t.date || "undated", parseNum(t.qty), t.docNo && `(${t.docNo})`].filter(Boolean).join(" "))
+    .join("; ");
+
+const purchaseTable = (po) => {
+  const dp = decimalsOf(po.header.currency);
+  const cols = ITEM_FIELDS.map((f) => f.label);
+  const rows = po.items.map((r) => [
+    ...ITEM_FIELDS.map((f) => (NUMERIC_ITEM_FIELDS.includes(f.key) ? parseNum(r[f.key]) : r[f.key])),
+    round(lineTotalOf(r), dp),
+  ]);
+  const t = totalsOf(po);
+  const footerRow = (label, value) => [...cols.map((_, i) => (i === cols.length - 1 ? label : "")), value];
+  const footer = [
+    footerRow("SUBTOTAL", round(t.subtotal, dp)),
+    footerRow("DISCOUNT", round(t.discount, dp)),
+    footerRow(`VAT (${parseNum(po.header.taxRate)}%)`, round(t.tax, dp)),
+    footerRow("GRAND TOTAL", round(t.grand, dp)),
+  ];
+  if (t.reporting !== null) {
+    footer.push(
+      footerRow(
+        `GRAND TOTAL (${po.header.reportingCurrency} @ ${parseNum(po.header.exchangeRate)})`,
+        round(t.reporting, decimalsOf(po.header.reportingCurrency))
+      )
+    );
+  }
+  return [[...cols, `LINE TOTAL (${po.header.currency})`], ...rows, ...footer];
+};
+
+const soldRows = (po) =>
+  po.items.map((r) => {
+    const qty = parseNum(r.qty);
+    const sold = soldQtyOf(po.sales[r.id]);
+    return { r, qty, sold, remaining: Math.max(qty - sold, 0) };
+  });
+
+const totalsRow = (rows, lead) => [
+  ...Array(lead - 1).fill(""),
+  "TOTALS",
+  rows.reduce((a, x) => a + x.sold, 0),
+  rows.reduce((a, x) => a + x.remaining, 0),
+];
+
+const salesTable = (po) => {
+  const rows = soldRows(po);
+  return [
+    ["MAXIMO NO.", "Item", "Description", "QTY", "Transactions", "Sold QTY", "Remaining"],
+    ...rows.map(({ r, qty, sold, remaining }) => [
+      r.maximoNo, r.item, r.description, qty, txSummary(po.sales[r.id]), sold, remaining,
+    ]),
+    totalsRow(rows, 5),
+  ];
+};
+
+const remainingTable = (po) => {
+  const rows = soldRows(po);
+  return [
+    ["MAXIMO NO.", "Item", "Description", "QTY", "Sold", "Remaining"],
+    ...rows.map(({ r, qty, sold, remaining }) => [r.maximoNo, r.item, r.description, qty, sold, remaining]),
+    totalsRow(rows, 4),
+  ];
+};
+
+const TABLES = { purchase: purchaseTable, sales: salesTable, remaining: remainingTable };
+
+// header block + table as an array of rows, ready for CSV or a worksheet
+export const buildReport = (po, kind) => [...headerBlock(po), ...TABLES[kind](po)];
+
+/* ---------- Writers ---------- */
+const csvCell = (v) => {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const toCSV = (rows) => rows.map((r) => r.map(csvCell).join(",")).join("\r\n");
+
+const reportName = (po, suffix) => `purchase-order-${fileSlug(po.header.poNumber)}-${suffix}`;
+
+export const exportReportCSV = (po, kind) => {
+  // BOM so Excel opens UTF-8 (e.g. "–" in beneficiary labels) correctly
+  const blob = new Blob(["\uFEFF" + toCSV(buildReport(po, kind))], { type: "text/csv;charset=utf-8" });
+  downloadBlob(blob, `${reportName(po, kind)}.csv`);
+};
+
+// one workbook, one sheet per report table
+export const exportReportXLSX = async (po) => {
+  const XLSX = await import("xlsx");
+  const wb = XLSX.utils.book_new();
+  Object.entries(REPORTS).forEach(([kind, title]) => {
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(buildReport(po, kind)), title);
+  });
+  XLSX.writeFile(wb, `${reportName(po, "report")}.xlsx`);
+};
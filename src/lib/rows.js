@@ -0,0 +1,60 @@
+import { ITEM_FIELDS, newId, parseNum } from "./po";
+import { parseCSV } from "./sheets";
+
+/* ---------- Line lists ---------- */
+// per-line lists, keyed by item line id
+export const LINE_LISTS = ["sales", "shipments", "supplierOrders"];
+
+export const isBlankItem = (r) => ITEM_FIELDS.every((f) => String(r[f.key] ?? "").trim() === "");
+
+// every line keeps the number it was given, whatever its position; new lines get the next free one
+export const numberLines = (po) => {
+  if (po.items.every((r) => r.lineNo)) return po;
+  let next = Math.max(0, ...po.items.map((r) => parseNum(r.lineNo)));
+  return { ...po, items: po.items.map((r) => (r.lineNo ? r : { ...r, lineNo: String(++next) })) };
+};
+
+// replaces the lines; logs of dropped lines go with them and their attachments move to the whole PO
+export const withItems = (po, items) => {
+  const ids = new Set(items.map((r) => r.id));
+  const out = { ...po, items };
+  LINE_LISTS.forEach((k) => {
+    out[k] = Object.fromEntries(Object.entries(po[k] || {}).filter(([id]) => ids.has(id)));
+  });
+  out.attachments = (po.attachments || []).map((a) => (a.lineId && !ids.has(a.lineId) ? { ...a, lineId: null } : a));
+  return out;
+};
+
+// a copy is a new line: fresh id and number, no logs
+export const copyItem = (r) => ({ ...r, id: newId(), lineNo: "" });
+
+// moves line `fromId` into the place of line `toId`
+export const moveItem = (items, fromId, toId) => {
+  const from = items.findIndex((r) => r.id === fromId);
+  const to = items.findIndex((r) => r.id === toId);
+  if (from < 0 || to < 0 || from === to) return items;
+  const next = items.filter((r) => r.id !== fromId);
+  next.splice(to, 0, items[from]);
+  return next;
+};
+
+/* ---------- Clipboard ---------- */
+// a block copied from Excel: tab-separated cells, one row per line
+export const isGridPaste = (text) => /[\t\n]/.test(text.trim());
+
+export const parseGrid = (text) => parseCSV(text.replace(/\r?\n$/, ""), "\t");
+
+// writes `grid` into `items` from `startField` rightwards, one grid row per target line id
+export const pasteGrid = (items, targets, startField, grid) => {
+  const start = ITEM_FIELDS.findIndex((f) => f.key === startField);
+  const patches = new Map();
+  grid.forEach((cells, g) => {
+    const patch = {};
+    cells.forEach((v, c) => {
+      const f = ITEM_FIELDS[start + c];
+      if (f) patch[f.key] = v.trim();
+    });
+    if (targets[g]) patches.set(targets[g], patch);
+  });
+  return items.map((r) => (patches.has(r.id) ? { ...r, ...patches.get(r.id) } : r));
+};
@@ -0,0 +1,173 @@
+import { ITEM_FIELDS, LINE_DATE_FIELDS, defaultHeader, newId } from "./po";
+import { HEADER_LABELS } from "./audit";
+
+/* ---------- Versions ---------- */
+// bump with every change to the saved PO shape and add the step that upgrades the previous one
+export const SCHEMA_VERSION = 4;
+
+const mapIf = (v, fn) => (Array.isArray(v) ? v.map(fn) : v);
+
+// like mapIf, but entries that aren't objects are left for schemaErrors to report
+const mapObjects = (v, fn) => mapIf(v, (x) => (x && typeof x === "object" ? fn(x) : x));
+
+// an array of per-line lists joined to items by position becomes a map keyed by line id
+const keyByPosition = (lists, items) =>
+  Array.isArray(lists) ? Object.fromEntries(items.map((r, i) => [r.id, lists[i] ?? []])) : lists;
+
+const lineIdAt = (items, row) => (row == null ? null : items[row]?.id ?? null);
+
+// MIGRATIONS[n] turns a version n PO into version n + 1; a step leaves fields already in a newer shape alone
+const MIGRATIONS = {
+  // v1 (po_app_state_v1/v2): items had ltsaQty instead of qty, sales were numbers per row
+  1: (po) => ({
+    ...po,
+    items: mapObjects(po.items, ({ ltsaQty, ...r }) => ({ ...r, qty: r.qty ?? ltsaQty })),
+    sales: mapIf(po.sales, (row) => (typeof row === "number" ? String(row) : row)),
+  }),
+  // v2 (po_app_state_v3): one free-text sold QTY per row becomes a single undated transaction
+  2: (po) => ({
+    ...po,
+    sales: mapIf(po.sales, (row) => {
+      if (Array.isArray(row)) return row;
+      if (row == null || String(row).trim() === "" || Number(row) === 0) return [];
+      return [{ id: newId(), qty: String(row) }];
+    }),
+  }),
+  // v3 (register before line ids): per-line lists, invoice lines and attachments pointed at rows by position
+  3: (po) => {
+    if (!Array.isArray(po.items)) return po;
+    const items = po.items.map((r) => (r && typeof r === "object" && !r.id ? { ...r, id: newId() } : r));
+    return {
+      ...po,
+      items,
+      sales: keyByPosition(po.sales, items),
+      shipments: keyByPosition(po.shipments, items),
+      supplierOrders: keyByPosition(po.supplierOrders, items),
+      invoices: mapObjects(po.invoices, (inv) => ({
+        ...inv,
+        lines: mapObjects(inv.lines, ({ row, ...l }) => ({ ...l, lineId: l.lineId ?? lineIdAt(items, row) })),
+      })),
+      attachments: mapObjects(po.attachments, ({ row, ...a }) =>
+        a.lineId !== undefined ? a : { ...a, lineId: lineIdAt(items, row) }
+      ),
+    };
+  },
+};
+
+// saves from before the version stamp: line ids mark the current shape, anything else starts at v1
+export const versionOf = (po, version) => {
+  if (Number.isInteger(version)) return version;
+  if (Number.isInteger(po.schemaVersion)) return po.schemaVersion;
+  const keyed = Array.isArray(po.items) && po.items.every((r) => r?.id) && !Array.isArray(po.sales);
+  return keyed ? SCHEMA_VERSION : 1;
+};
+
+// runs every step from the PO's version up to SCHEMA_VERSION; the result carries no version field
+export const migratePO = (po, version) => {
+  let v = versionOf(po, version);
+  if (v > SCHEMA_VERSION) {
+    throw new Error(`Saved by a newer version of the app (schema v${v}; this one reads up to v${SCHEMA_VERSION}).`);
+  }
+  let out = po;
+  for (; v < SCHEMA_VERSION; v++) out = MIGRATIONS[v](out);
+  const { schemaVersion: _, ...rest } = out;
+  return rest;
+};
+
+/* ---------- Validation ---------- */
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+const kindOf = (v) => {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "a list";
+  if (typeof v === "object") return "an object";
+  return `${typeof v} ${JSON.stringify(v)}`;
+};
+
+const LINE_LABELS = Object.fromEntries([...ITEM_FIELDS, ...LINE_DATE_FIELDS].map((f) => [f.key, f.label]));
+
+const LIST_FIELDS = {
+  sales: ["date", "qty", "docNo", "customerRef", "notes", "invoiceId"],
+  shipments: ["qty", "awbNo", "shippedDate", "receivedDate", "location"],
+  supplierOrders: ["supplier", "poNo", "qty", "costUnitPrice", "currency", "fxRate", "leadTimeDays"],
+};
+
+const LIST_LABELS = { sales: "Sales", shipments: "Shipments", supplierOrders: "Supplier POs" };
+
+// every bad field of a migrated PO file as a readable line, e.g. "Line 3 · QTY: expected text or a number, got an object";
+// content rules (required fields, dates, …) are left to validatePO once the PO is open
+export const schemaErrors = (po) => {
+  const out = [];
+  const text = (where, v) => {
+    if (v != null && typeof v !== "string" && typeof v !== "number") {
+      out.push(`${where}: expected text or a number, got ${kindOf(v)}`);
+    }
+  };
+  const list = (where, v) => {
+    if (v != null && !Array.isArray(v)) out.push(`${where}: expected a list, got ${kindOf(v)}`);
+    return Array.isArray(v) ? v : [];
+  };
+  const entries = (where, v, fields) =>
+    list(where, v).forEach((x, n) => {
+      if (!isObject(x)) return out.push(`${where} #${n + 1}: expected an object, got ${kindOf(x)}`);
+      fields.forEach((k) => text(`${where} #${n + 1} · ${k}`, x[k]));
+    });
+
+  if (!isObject(po)) return [`The file does not hold a PO (expected a JSON object, got ${kindOf(po)}).`];
+
+  text("LTSA Contract", po.option);
+
+  if (!isObject(po.header)) out.push(`Header: missing (got ${kindOf(po.header)})`);
+  else Object.keys(defaultHeader()).forEach((k) => text(HEADER_LABELS[k] || k, po.header[k]));
+
+  if (!Array.isArray(po.items)) out.push(`Items: expected a list, got ${kindOf(po.items)}`);
+  else if (!po.items.length) out.push("Items: the PO has no lines");
+  const items = Array.isArray(po.items) ? po.items : [];
+  const ids = new Set();
+  items.forEach((r, i) => {
+    const where = `Line ${isObject(r) && r.lineNo ? r.lineNo : i + 1}`;
+    if (!isObject(r)) return out.push(`${where}: expected an object, got ${kindOf(r)}`);
+    if (typeof r.id !== "string" || !r.id) out.push(`${where}: missing line id`);
+    else if (ids.has(r.id)) out.push(`${where}: line id "${r.id}" is used by another line`);
+    ids.add(r.id);
+    ["lineNo", ...Object.keys(LINE_LABELS)].forEach((k) => text(`${where} · ${LINE_LABELS[k] || k}`, r[k]));
+  });
+  const lineName = (id) => {
+    const r = items.find((x) => x?.id === id);
+    return r ? `Line ${r.lineNo || items.indexOf(r) + 1}` : `line id "${id}"`;
+  };
+
+  Object.entries(LIST_FIELDS).forEach(([key, fields]) => {
+    const lists = po[key];
+    if (lists == null) return;
+    if (!isObject(lists)) return out.push(`${LIST_LABELS[key]}: expected lists by line id, got ${kindOf(lists)}`);
+    Object.entries(lists).forEach(([id, v]) => {
+      if (!ids.has(id)) out.push(`${LIST_LABELS[key]}: entries for ${lineName(id)}, which is not in the items`);
+      entries(`${LIST_LABELS[key]} · ${lineName(id)}`, v, fields);
+    });
+  });
+
+  list("Invoices", po.invoices).forEach((inv, n) => {
+    const where = `Invoice ${isObject(inv) && inv.number ? inv.number : `#${n + 1}`}`;
+    if (!isObject(inv)) return out.push(`${where}: expected an object, got ${kindOf(inv)}`);
+    ["number", "date", "dueDate", "currency", "taxRate", "notes"].forEach((k) => text(`${where} · ${k}`, inv[k]));
+    list(`${where} · lines`, inv.lines).forEach((l, x) => {
+      if (!isObject(l)) return out.push(`${where} · line #${x + 1}: expected an object, got ${kindOf(l)}`);
+      if (!ids.has(l.lineId)) out.push(`${where} · line #${x + 1}: bills ${lineName(l.lineId)}, which is not in the items`);
+      ["qty", "unitPrice", "discountPct"].forEach((k) => text(`${where} · line #${x + 1} · ${k}`, l[k]));
+    });
+    entries(`${where} · payments`, inv.payments, ["date", "amount", "ref"]);
+  });
+
+  list("Documents", po.attachments).forEach((a, n) => {
+    const where = `Document ${isObject(a) && a.name ? `"${a.name}"` : `#${n + 1}`}`;
+    if (!isObject(a)) return out.push(`${where}: expected an object, got ${kindOf(a)}`);
+    ["name", "type", "mime", "size", "addedAt"].forEach((k) => text(`${where} · ${k}`, a[k]));
+    if (a.lineId != null && !ids.has(a.lineId)) out.push(`${where}: linked to ${lineName(a.lineId)}, which is not in the items`);
+  });
+
+  entries("Approvals", po.approvals, ["field", "from", "to", "reason", "status"]);
+  list("Status history", po.statusHistory);
+  list("Audit log", po.auditLog);
+  return out;
+};
@@ -0,0 +1,106 @@
+import { ITEM_FIELDS, NUMERIC_ITEM_FIELDS, defaultItem, parseNum } from "./po";
+
+/* ---------- CSV ---------- */
+// picks the delimiter that splits the first line into the most columns
+const detectDelimiter = (text) => {
+  const first = text.split(/\r?\n/, 1)[0] || "";
+  return [",", ";", "\t"]
+    .map((d) => [d, first.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF/LF line breaks
+export const parseCSV = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delimiter) { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += c;
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+};
+
+/* ---------- Files ---------- */
+const isExcel = (file) => /\.(xlsx|xls)$/i.test(file.name);
+
+// reads the first sheet of an .xlsx/.xls or a .csv file into an array of string rows
+export const readSheetFile = async (file) => {
+  if (!isExcel(file)) return parseCSV((await file.text()).replace(/^\uFEFF/, ""));
+
+  const XLSX = await import("xlsx");
+  const wb = XLSX.read(await file.arrayBuffer(), { type: "array" });
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  const rows = XLSX.utils.sheet_to_json(ws, { header: 1, raw: false, defval: "" });
+  return rows
+    .map((r) => r.map((c) => String(c ?? "")))
+    .filter((r) => r.some((c) => c.trim() !== ""));
+};
+
+/* ---------- Column mapping ---------- */
+const squash = (s) => String(s).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// extra header spellings seen in Maximo extracts and supplier quotations
+const ALIASES = {
+  maximoNo: ["maximo", "maximono", "maximonumber", "itemnum"],
+  item: ["item", "itemcode", "code", "partno", "partnumber"],
+  description: ["description", "itemdescription", "desc"],
+  tpi: ["tpi", "inspection", "thirdparty"],
+  material: ["material", "mat"],
+  grade: ["grade", "materialgrade"],
+  unitCode: ["unitcode", "unit", "uom", "orderunit"],
+  qty: ["qty", "quantity", "orderqty"],
+  unitPrice: ["unitprice", "price", "rate", "unitcost"],
+};
+
+// best guess of item field per column index ("" = ignore)
+export const guessMapping = (headerRow = []) => {
+  const used = new Set();
+  return headerRow.map((h) => {
+    const key = squash(h);
+    const hit = ITEM_FIELDS.find(
+      (f) => !used.has(f.key) && (squash(f.label) === key || ALIASES[f.key]?.includes(key))
+    );
+    if (!hit) return "";
+    used.add(hit.key);
+    return hit.key;
+  });
+};
+
+/* ---------- Rows -> items ---------- */
+// number cells must contain a digit for parseNum to mean anything, and can't be negative
+const badNumber = (v) =>
+  String(v).trim() !== "" && (!/\d/.test(String(v)) || parseNum(v) < 0);
+
+// returns { items, errors } where errors are { row, field, value } for skipped rows
+export const rowsToItems = (rows, mapping) => {
+  const items = [];
+  const errors = [];
+
+  rows.forEach((cells, r) => {
+    const item = defaultItem();
+    mapping.forEach((key, c) => {
+      if (key) item[key] = String(cells[c] ?? "").trim();
+    });
+    if (ITEM_FIELDS.every((f) => item[f.key] === "")) return;
+
+    const bad = NUMERIC_ITEM_FIELDS.filter((k) => badNumber(item[k]));
+    if (bad.length) bad.forEach((k) => errors.push({ row: r, field: k, value: item[k] }));
+    else items.push(item);
+  });
+
+  return { items, errors };
+};
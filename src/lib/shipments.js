@@ -0,0 +1,66 @@
+import { STATUS_STEPS, keyByLine, newId, parseNum } from "./po";
+import { missingTpiNotes } from "./attachments";
+import { DERIVED_STEPS, historyEntry, isDerived, stepIndex } from "./workflow";
+
+/* ---------- Defaults ---------- */
+// one partial shipment of an item line
+export const defaultShipment = () => ({
+  id: newId(),
+  qty: "",          // <- free text; numbers parsed
+  awbNo: "",        // AWB / BL number
+  shippedDate: "",  // YYYY-MM-DD
+  receivedDate: "", // YYYY-MM-DD; blank while in transit
+  location: "",     // where it is stored once received
+});
+
+export const normalizeShipments = (shipments, items) =>
+  keyByLine(shipments, items, (list) => list.map((s) => ({ ...defaultShipment(), ...s })));
+
+/* ---------- Quantities ---------- */
+export const shippedQtyOf = (list = []) => list.reduce((a, s) => a + parseNum(s.qty), 0);
+
+export const receivedQtyOf = (list = []) =>
+  list.filter((s) => s.receivedDate).reduce((a, s) => a + parseNum(s.qty), 0);
+
+/* ---------- Line status ---------- */
+// Under Production until the full QTY ships, Shipped until all of it is received, then Stored
+export const lineStepOf = (row, list = []) => {
+  const qty = parseNum(row?.qty);
+  if (!qty || shippedQtyOf(list) < qty) return "Under Production";
+  if (receivedQtyOf(list) < qty) return "Shipped";
+  return "Stored";
+};
+
+// human label with partial progress, e.g. "Partially shipped (4/10)"
+export const lineLabelOf = (row, list = []) => {
+  const qty = parseNum(row?.qty);
+  const shipped = shippedQtyOf(list);
+  const received = receivedQtyOf(list);
+  const step = lineStepOf(row, list);
+  if (step === "Under Production") return shipped ? `Partially shipped (${shipped}/${qty})` : "Awaiting shipment";
+  if (step === "Shipped") return received ? `Partially received (${received}/${qty})` : "In transit";
+  return "Stored";
+};
+
+// least advanced line decides the PO status while it sits in the derived steps;
+// a line still waiting for its TPI release note can't count as shipped, whatever its log says
+export const derivedStatusOf = (po) => {
+  const held = new Set(missingTpiNotes(po));
+  const steps = po.items.map((r) =>
+    stepIndex(held.has(r.id) ? DERIVED_STEPS[0] : lineStepOf(r, po.shipments?.[r.id]))
+  );
+  return steps.length ? STATUS_STEPS[Math.min(...steps)] : DERIVED_STEPS[0];
+};
+
+// applied on every save: a PO in the derived steps takes the status of its least advanced line
+export const syncDerivedStatus = (po) => {
+  const from = po.header.status;
+  if (!isDerived(from)) return po;
+  const to = derivedStatusOf(po);
+  if (to === from) return po;
+  return {
+    ...po,
+    header: { ...po.header, status: to },
+    statusHistory: [...(po.statusHistory || []), historyEntry(from, to, "Derived from line shipments")],
+  };
+};
@@ -0,0 +1,106 @@
+import { defaultState, newId, normalizeItem, normalizeSales } from "./po";
+import { normalizeApprovals } from "./approvals";
+import { normalizeAttachments } from "./attachments";
+import { normalizeInvoices } from "./invoices";
+import { numberLines } from "./rows";
+import { SCHEMA_VERSION, migratePO } from "./schema";
+import { normalizeShipments } from "./shipments";
+import { normalizeSupplierOrders } from "./supplier";
+import { normalizeStatus } from "./workflow";
+
+/* ---------- Keys ---------- */
+export const REGISTER_KEY = "po_register_v1";
+// single-PO saves from before the register, with the schema version each one holds
+const LEGACY_KEYS = [
+  ["po_app_state_v3", 2],
+  ["po_app_state_v2", 1],
+  ["po_app_state_v1", 1],
+];
+
+/* ---------- Register entries ---------- */
+export const makeEntry = (po = defaultState()) => {
+  const now = new Date().toISOString();
+  return {
+    ...numberLines(po),
+    id: newId(),
+    archived: false,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+const emptyRegister = () => {
+  const first = makeEntry();
+  return { activeId: first.id, pos: [first] };
+};
+
+// brings any saved/imported PO up to the current schema (see schema.js), then fills in defaults;
+// `version` is the schema version of the file or register it came from, if it says
+export const normalizePO = (saved, version) => {
+  const old = migratePO(saved, version);
+  const items = Array.isArray(old.items) ? old.items.map(normalizeItem) : defaultState().items;
+  return numberLines({
+    ...old,
+    option: old.option || defaultState().option,
+    header: {
+      ...defaultState().header,
+      ...old.header,
+      status: normalizeStatus(old.header?.status),
+    },
+    items,
+    sales: normalizeSales(old.sales, items),
+    shipments: normalizeShipments(old.shipments, items),
+    supplierOrders: normalizeSupplierOrders(old.supplierOrders, items),
+    invoices: normalizeInvoices(old.invoices),
+    attachments: normalizeAttachments(old.attachments, items),
+    approvals: normalizeApprovals(old.approvals),
+    statusHistory: Array.isArray(old.statusHistory) ? old.statusHistory : [],
+    auditLog: Array.isArray(old.auditLog) ? old.auditLog : [],
+  });
+};
+
+const loadLegacy = () => {
+  for (const [key, version] of LEGACY_KEYS) {
+    const old = JSON.parse(localStorage.getItem(key) || "null");
+    if (old) return normalizePO(old, version);
+  }
+  return null;
+};
+
+/* ---------- Load / save ---------- */
+// a register that can't be read (e.g. saved by a newer version of the app) comes back as a blank one
+// carrying `loadError`; the stored copy must then be left alone, not saved over
+export const loadRegister = () => {
+  try {
+    const reg = JSON.parse(localStorage.getItem(REGISTER_KEY) || "null");
+    if (reg && Array.isArray(reg.pos) && reg.pos.length) {
+      const { schemaVersion, ...rest } = reg;
+      return { ...rest, pos: reg.pos.map((p) => normalizePO(p, schemaVersion)) };
+    }
+
+    // first run on the register: bring the old single PO in as entry #1
+    const legacy = loadLegacy();
+    if (legacy) {
+      const first = makeEntry(legacy);
+      const migrated = { activeId: first.id, pos: [first] };
+      saveRegister(migrated);
+      return migrated;
+    }
+
+    return emptyRegister();
+  } catch (e) {
+    return { ...emptyRegister(), loadError: e.message };
+  }
+};
+
+// undo stacks (reg.undo) are session-only
+export const saveRegister = ({ activeId, pos }) =>
+  localStorage.setItem(REGISTER_KEY, JSON.stringify({ schemaVersion: SCHEMA_VERSION, activeId, pos }));
+
+// localStorage is full (Chrome / Safari name it one way, Firefox another)
+export const isQuotaError = (e) => e?.name === "QuotaExceededError" || e?.name === "NS_ERROR_DOM_QUOTA_REACHED";
+
+export const clearRegister = () => {
+  localStorage.removeItem(REGISTER_KEY);
+  LEGACY_KEYS.forEach(([k]) => localStorage.removeItem(k));
+};
@@ -0,0 +1,68 @@
+import { keyByLine, lineTotalOf, newId, parseNum } from "./po";
+
+/* ---------- Defaults ---------- */
+// one supplier order placed for (part of) an item line
+export const defaultSupplierOrder = () => ({
+  id: newId(),
+  supplier: "",
+  poNo: "",          // supplier's PO / order confirmation number
+  qty: "",           // <- free text; numbers parsed
+  costUnitPrice: "", // in the order's own currency
+  currency: "KWD",
+  fxRate: "",        // 1 unit of the order currency in PO currency; blank when they match
+  leadTimeDays: "",
+});
+
+export const normalizeSupplierOrders = (orders, items) =>
+  keyByLine(orders, items, (list) => list.map((o) => ({ ...defaultSupplierOrder(), ...o })));
+
+/* ---------- Cost ---------- */
+export const orderedQtyOf = (list = []) => list.reduce((a, o) => a + parseNum(o.qty), 0);
+
+// rate into the PO currency, or null when a foreign-currency order has no rate yet
+export const rateOf = (order, poCurrency) => {
+  if (!order.currency || order.currency === poCurrency) return 1;
+  const rate = parseNum(order.fxRate);
+  return rate > 0 ? rate : null;
+};
+
+// cost of everything ordered so far, in PO currency; `missingRate` flags orders left out
+export const orderedCostOf = (list = [], poCurrency) =>
+  list.reduce(
+    (a, o) => {
+      const rate = rateOf(o, poCurrency);
+      if (rate === null) return { ...a, missingRate: true };
+      return { ...a, cost: a.cost + parseNum(o.qty) * parseNum(o.costUnitPrice) * rate };
+    },
+    { cost: 0, missingRate: false }
+  );
+
+// cost vs. sell for one line; partly ordered lines are costed at the average unit cost so far
+export const lineMarginOf = (row, list = [], poCurrency) => {
+  const qty = parseNum(row?.qty);
+  const ordered = orderedQtyOf(list);
+  const { cost: orderedCost, missingRate } = orderedCostOf(list, poCurrency);
+  const unitCost = ordered > 0 ? orderedCost / ordered : null;
+  const net = lineTotalOf(row);
+  const cost = unitCost === null ? null : unitCost * qty;
+  const margin = cost === null ? null : net - cost;
+  const marginPct = margin === null || !net ? null : (margin / net) * 100;
+  return { qty, ordered, unitCost, cost, net, margin, marginPct, missingRate };
+};
+
+// whole-PO margin over the lines that have a cost
+export const marginTotalsOf = ({ header = {}, items = [], supplierOrders = {} }) => {
+  const lines = items.map((r) => lineMarginOf(r, supplierOrders[r.id], header.currency));
+  const costed = lines.filter((l) => l.cost !== null);
+  const net = costed.reduce((a, l) => a + l.net, 0);
+  const cost = costed.reduce((a, l) => a + l.cost, 0);
+  const margin = net - cost;
+  return {
+    lines,
+    net,
+    cost,
+    margin,
+    marginPct: net ? (margin / net) * 100 : null,
+    uncosted: lines.length - costed.length,
+  };
+};
@@ -0,0 +1,258 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import {
+  DOCS,
+  emptySync,
+  hasPending,
+  loadSync,
+  markFromServer,
+  mergeRemotePOs,
+  pendingCount,
+  saveSync,
+  serverStore,
+  trackChanges,
+} from "./remote";
+import { makeEntry, normalizePO } from "./storage";
+
+// edits are sent this long after the last change
+const PUSH_DELAY = 800;
+// while the server can't be reached it is tried again this often (the "online" event alone misses flaky networks)
+const RETRY_DELAY = 30 * 1000;
+
+const DOC_NAMES = { master: "Master data", catalog: "The item catalog" };
+
+const poName = (po) => `PO ${po?.header?.poNumber || "(no number)"}`;
+
+/* ---------- Sync state helpers ---------- */
+const without = (list, x) => list.filter((y) => y !== x);
+
+const withVersion = (s, kind, id, version) => {
+  if (kind !== "pos") return { ...s, versions: { ...s.versions, [kind]: version } };
+  const { [id]: _, ...pos } = s.versions.pos;
+  return { ...s, versions: { ...s.versions, pos: version ? { ...pos, [id]: version } : pos } };
+};
+
+const settled = (s, list, id) => ({ ...s, pending: { ...s.pending, [list]: without(s.pending[list], id) } });
+
+/* ---------- Hook ---------- */
+// keeps the register, master data and catalog in step with the server at `url` ("" = this browser only).
+// localStorage stays the working copy: edits are saved there first and queued, then sent with the version
+// they were based on; a refused write (someone else got there first) asks which copy to keep.
+// status: local | syncing | synced | offline; queued: changes saved here that the server doesn't have yet
+export const useServerSync = (url, register, master, catalog, { setRegister, setMaster, setCatalog }) => {
+  const store = useMemo(() => (url ? serverStore(url) : null), [url]);
+  const [status, setStatus] = useState(url ? "syncing" : "local");
+  const [error, setError] = useState("");
+  const [pulls, setPulls] = useState(0);
+  const [queued, setQueued] = useState(() => pendingCount(loadSync()));
+
+  const syncRef = useRef(null);
+  const sync = () => (syncRef.current ||= loadSync());
+  const setSync = (s) => {
+    if (s === sync()) return;
+    syncRef.current = s;
+    saveSync(s);
+    setQueued(pendingCount(s));
+  };
+
+  const latestRef = useRef({ register, master, catalog });
+  const seenRef = useRef(latestRef.current);
+  const readyRef = useRef(false); // versions are known: pushing before the first pull would only conflict
+  const replaceRef = useRef(false);
+  const busyRef = useRef(false);
+  const againRef = useRef(false);
+
+  const setters = { master: setMaster, catalog: setCatalog };
+  const replacePO = (id, po) =>
+    setRegister((reg) => {
+      const pos = po ? reg.pos.map((p) => (p.id === id ? po : p)) : reg.pos.filter((p) => p.id !== id);
+      return { ...reg, pos: pos.length ? pos : [makeEntry()] };
+    });
+
+  /* ---------- Push ---------- */
+  const pushPOs = async () => {
+    for (const id of sync().pending.pos) {
+      const po = latestRef.current.register.pos.find((p) => p.id === id);
+      if (!po) continue;
+      const res = await store.putPO(po, sync().versions.pos[id] || 0);
+      if (!res.conflict) {
+        setSync(withVersion(sync(), "pos", id, res.version));
+        if (latestRef.current.register.pos.find((p) => p.id === id) === po) setSync(settled(sync(), "pos", id));
+      } else if (!res.po) {
+        if (confirm(`${poName(po)} was deleted on the server. Remove it here too?\n\nCancel uploads your copy again.`)) {
+          setSync(settled(withVersion(sync(), "pos", id, 0), "pos", id));
+          replacePO(id, null);
+        } else {
+          setSync(withVersion(sync(), "pos", id, 0));
+          againRef.current = true;
+        }
+      } else {
+        const keepServer = confirm(
+          `${poName(po)} was changed on the server since you loaded it.\n\n` +
+            "OK loads the server copy (your changes to it are dropped); Cancel keeps yours and overwrites it."
+        );
+        setSync(withVersion(sync(), "pos", id, res.version));
+        if (keepServer) {
+          setSync(settled(sync(), "pos", id));
+          replacePO(id, markFromServer(normalizePO(res.po)));
+        } else againRef.current = true;
+      }
+    }
+  };
+
+  const pushDeletes = async () => {
+    for (const id of sync().pending.deleted) {
+      const res = await store.deletePO(id, sync().versions.pos[id] || 0);
+      if (!res?.conflict) {
+        setSync(settled(withVersion(sync(), "pos", id, 0), "deleted", id));
+        continue;
+      }
+      const restore = confirm(
+        `${poName(res.po)} was changed on the server after you deleted it here.\n\n` +
+          "OK restores the server copy; Cancel deletes it anyway."
+      );
+      setSync(withVersion(sync(), "pos", id, res.version));
+      if (restore) {
+        setSync(settled(sync(), "deleted", id));
+        setRegister((reg) => ({ ...reg, pos: [...reg.pos, markFromServer(normalizePO(res.po))] }));
+      } else againRef.current = true;
+    }
+  };
+
+  const pushDocs = async () => {
+    for (const d of sync().pending.docs) {
+      const data = latestRef.current[d];
+      const res = await store.putDoc(d, data, sync().versions[d] || 0);
+      setSync(withVersion(sync(), d, null, res.version));
+      if (!res.conflict) {
+        if (latestRef.current[d] === data) setSync(settled(sync(), "docs", d));
+      } else if (
+        confirm(
+          `${DOC_NAMES[d]} was changed on the server since you loaded it.\n\n` +
+            "OK loads the server copy (your changes are dropped); Cancel keeps yours and overwrites it."
+        )
+      ) {
+        setSync(settled(sync(), "docs", d));
+        setters[d](markFromServer(res.data));
+      } else againRef.current = true;
+    }
+  };
+
+  // one push at a time; changes made meanwhile go in another round
+  const push = async () => {
+    if (!store || !readyRef.current) return;
+    if (busyRef.current) {
+      againRef.current = true;
+      return;
+    }
+    busyRef.current = true;
+    setStatus("syncing");
+    try {
+      do {
+        againRef.current = false;
+        await pushPOs();
+        await pushDeletes();
+        await pushDocs();
+      } while (againRef.current);
+      setError("");
+      if (!hasPending(sync())) setStatus("synced");
+    } catch (e) {
+      setError(e.message);
+      setStatus("offline");
+    } finally {
+      busyRef.current = false;
+    }
+  };
+
+  /* ---------- Local changes ---------- */
+  useEffect(() => {
+    const now = { register, master, catalog };
+    setSync(trackChanges(sync(), seenRef.current, now));
+    seenRef.current = now;
+    latestRef.current = now;
+    if (!store || !hasPending(sync())) return;
+    const t = setTimeout(push, PUSH_DELAY);
+    return () => clearTimeout(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [register, master, catalog, store]);
+
+  /* ---------- Pull ---------- */
+  // on connect, on "Sync now" and when the browser comes back online
+  useEffect(() => {
+    readyRef.current = false;
+    if (!store) {
+      setStatus("local");
+      setError("");
+      return;
+    }
+    let live = true;
+    setStatus("syncing");
+    (async () => {
+      try {
+        // a different server knows none of our versions
+        if (sync().url !== url) setSync({ ...emptySync(), url });
+        const [remote, ...docs] = await Promise.all([store.listPOs(), ...DOCS.map((d) => store.getDoc(d))]);
+        if (!live) return;
+
+        const merged = mergeRemotePOs(latestRef.current.register.pos, remote, sync(), replaceRef.current);
+        replaceRef.current = false;
+        let next = merged.sync;
+        DOCS.forEach((d, i) => {
+          const { version, data } = docs[i];
+          if (data == null) next = { ...next, pending: { ...next.pending, docs: [...without(next.pending.docs, d), d] } };
+          else if (version > (next.versions[d] || 0) && !next.pending.docs.includes(d)) {
+            next = withVersion(next, d, null, version);
+            setters[d](markFromServer(data));
+          }
+        });
+        setSync(next);
+        setRegister((reg) => ({
+          ...reg,
+          pos: merged.pos,
+          activeId: merged.pos.some((p) => p.id === reg.activeId) ? reg.activeId : merged.pos[0].id,
+        }));
+
+        readyRef.current = true;
+        if (hasPending(sync())) push();
+        else setStatus("synced");
+        setError("");
+      } catch (e) {
+        if (!live) return;
+        setError(e.message);
+        setStatus("offline");
+      }
+    })();
+    return () => {
+      live = false;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [store, pulls]);
+
+  useEffect(() => {
+    if (!store) return;
+    const again = () => setPulls((n) => n + 1);
+    const lost = () => setStatus("offline");
+    window.addEventListener("online", again);
+    window.addEventListener("offline", lost);
+    return () => {
+      window.removeEventListener("online", again);
+      window.removeEventListener("offline", lost);
+    };
+  }, [store]);
+
+  useEffect(() => {
+    if (status !== "offline") return;
+    const t = setInterval(() => setPulls((n) => n + 1), RETRY_DELAY);
+    return () => clearInterval(t);
+  }, [status]);
+
+  const syncNow = () => setPulls((n) => n + 1);
+
+  // drops what this browser knows of the server: the next pull takes the server's POs as they are
+  const forget = () => {
+    setSync({ ...emptySync(), url });
+    readyRef.current = false;
+    replaceRef.current = true;
+  };
+
+  return { status, error, queued, syncNow, forget };
+};
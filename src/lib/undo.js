@@ -0,0 +1,46 @@
+import { COALESCE_MS, auditEntries } from "./audit";
+
+/* ---------- Undo / redo ---------- */
+// stacks live on the in-memory register as reg.undo[poId]; saveRegister never persists them
+const UNDO_LIMIT = 100;
+
+const stackOf = (reg, id) => reg.undo?.[id] || { past: [], future: [], lastAt: 0, lastKey: "" };
+
+export const canUndo = (reg) => stackOf(reg, reg.activeId).past.length > 0;
+export const canRedo = (reg) => stackOf(reg, reg.activeId).future.length > 0;
+
+// record `snapshot` (the PO before `changes`) as an undo step
+export const pushUndo = (reg, id, snapshot, changes) => {
+  if (!changes.length) return reg.undo;
+  const h = stackOf(reg, id);
+  const now = Date.now();
+  const key = changes.map((c) => c.field).join("|");
+  const coalesce = key === h.lastKey && now - h.lastAt < COALESCE_MS;
+  const past = coalesce ? h.past : [...h.past, snapshot].slice(-UNDO_LIMIT);
+  return { ...reg.undo, [id]: { past, future: [], lastAt: now, lastKey: key } };
+};
+
+// restores the PO from one stack, moving the current version onto the other; logs it in the audit trail as `user`'s
+const step = (reg, from, to, via, user) => {
+  const id = reg.activeId;
+  const h = stackOf(reg, id);
+  if (!h[from].length) return reg;
+  const current = reg.pos.find((p) => p.id === id);
+  const snap = h[from][h[from].length - 1];
+  const restored = {
+    ...snap,
+    auditLog: [...(current.auditLog || []), ...auditEntries(current, snap, via, user)],
+    updatedAt: new Date().toISOString(),
+  };
+  return {
+    ...reg,
+    pos: reg.pos.map((p) => (p.id === id ? restored : p)),
+    undo: {
+      ...reg.undo,
+      [id]: { ...h, [from]: h[from].slice(0, -1), [to]: [...h[to], current], lastKey: "" },
+    },
+  };
+};
+
+export const undoStep = (reg, user) => step(reg, "past", "future", "undo", user);
+export const redoStep = (reg, user) => step(reg, "future", "past", "redo", user);
@@ -0,0 +1,185 @@
+import { newId } from "./po";
+import { APPROVAL_FIELDS, HEADER_APPROVAL_FIELDS, PRICE_LOCK_AFTER, needsApproval } from "./approvals";
+import { isDerived } from "./workflow";
+
+/* ---------- Keys ---------- */
+const USERS_KEY = "po_users_v1";
+const CURRENT_KEY = "po_current_user";
+
+/* ---------- Roles ---------- */
+export const ROLES = {
+  buyer: "Buyer",
+  contracts: "Contracts",
+  warehouse: "Warehouse",
+  finance: "Finance",
+  viewer: "Viewer",
+};
+
+// what each field group covers, as shown in messages ("… can't change <label>")
+export const GROUPS = {
+  register: "the PO register (new, import, delete)",
+  header: "the PO header",
+  contract: "the LTSA contract",
+  lines: "item lines",
+  pricing: "unit prices, quantities and discounts",
+  supplier: "supplier POs",
+  sales: "sales (Sold / Remaining)",
+  shipments: "shipments",
+  status: "the status",
+  closing: "Invoiced / Completed",
+  invoices: "invoices and payments",
+  documents: "documents",
+  approve: "price / QTY approvals",
+  master: "master data",
+  catalog: "the item catalog",
+  users: "users and roles",
+};
+
+export const ROLE_GROUPS = {
+  buyer: ["register", "header", "lines", "pricing", "supplier", "status", "documents", "catalog"],
+  contracts: ["register", "header", "contract", "lines", "status", "documents", "approve", "master", "catalog", "users"],
+  warehouse: ["sales", "shipments", "status", "documents"],
+  finance: ["invoices", "closing", "documents"],
+  viewer: [],
+};
+
+// the role that manages users; one user must always keep it
+export const ADMIN_ROLE = "contracts";
+
+/* ---------- Store ---------- */
+export const defaultUser = (role = "buyer") => ({ id: newId(), name: "", role });
+
+export const loadUsers = () => {
+  try {
+    const list = JSON.parse(localStorage.getItem(USERS_KEY) || "[]");
+    if (Array.isArray(list)) return list.filter((u) => u && ROLES[u.role]);
+  } catch {
+    // start without users
+  }
+  return [];
+};
+
+export const saveUsers = (list) => localStorage.setItem(USERS_KEY, JSON.stringify(list));
+
+export const loadCurrentUserId = () => localStorage.getItem(CURRENT_KEY) || "";
+
+export const saveCurrentUserId = (id) => {
+  if (id) localStorage.setItem(CURRENT_KEY, id);
+  else localStorage.removeItem(CURRENT_KEY);
+};
+
+// removing or re-roling this user would leave nobody able to manage users
+export const isLastAdmin = (users, id) =>
+  users.find((u) => u.id === id)?.role === ADMIN_ROLE && users.filter((u) => u.role === ADMIN_ROLE).length === 1;
+
+/* ---------- Access ---------- */
+// with no users set up every change is allowed, as before; once there are users, whoever is picked
+// (nobody = a viewer) gets the groups of their role
+export const accessOf = (users, currentId) => {
+  const open = !users.length;
+  const user = users.find((u) => u.id === currentId) || null;
+  const groups = open ? Object.keys(GROUPS) : ROLE_GROUPS[user?.role] || [];
+  return { open, user, can: (group) => groups.includes(group) };
+};
+
+export const whoLabel = (access) =>
+  access.user ? `${access.user.name || "(no name)"} (${ROLES[access.user.role]})` : "Nobody signed in";
+
+export const deniedMessage = (access, group) => `${whoLabel(access)} can't change ${GROUPS[group]}.`;
+
+/* ---------- Changes by group ---------- */
+const CONTRACT_FIELDS = ["ltsaNumber", "beneficiaryName", "ltsaDescription"];
+const CLOSING_STEPS = ["Invoiced", "Completed"];
+
+// who may move the status from one step to another: Invoiced and Completed belong to Finance
+export const statusGroup = (from, to) =>
+  CLOSING_STEPS.includes(from) || CLOSING_STEPS.includes(to) ? "closing" : "status";
+
+const differs = (a, b) => a !== b && JSON.stringify(a ?? null) !== JSON.stringify(b ?? null);
+
+// whether the per-line lists differ on the lines both versions have (lists of removed lines go with the
+// line), looking only at the entries `keep` accepts; a list left as the same object is skipped unread
+const listsDiffer = (a, b, ids, keep = () => true) =>
+  ids.some((id) => a?.[id] !== b?.[id] && differs((a?.[id] || []).filter(keep), (b?.[id] || []).filter(keep)));
+
+// the field groups a change from `prev` to `next` touches
+export const changedGroups = (prev, next) => {
+  const out = new Set();
+  const ph = prev.header;
+  const nh = next.header;
+
+  if (prev.option !== next.option || CONTRACT_FIELDS.some((k) => differs(ph[k], nh[k]))) out.add("contract");
+  const headerKeys = Object.keys({ ...ph, ...nh }).filter((k) => k !== "status" && !CONTRACT_FIELDS.includes(k));
+  if (headerKeys.some((k) => differs(ph[k], nh[k]))) out.add("header");
+  if (ph.status !== nh.status) {
+    // moves between derived steps follow the shipments, which are checked below
+    const group = statusGroup(ph.status, nh.status);
+    if (group === "closing" || !(isDerived(ph.status) && isDerived(nh.status))) out.add(group);
+  }
+
+  const before = new Map(prev.items.map((r) => [r.id, r]));
+  const kept = next.items.filter((r) => before.has(r.id)).map((r) => r.id);
+  if (kept.length !== prev.items.length || kept.length !== next.items.length) out.add("lines");
+  else if (prev.items.some((r, i) => r.id !== next.items[i].id)) out.add("lines");
+  next.items.forEach((r) => {
+    const p = before.get(r.id);
+    if (!p || p === r) return;
+    Object.keys({ ...p, ...r }).forEach((k) => {
+      if (k === "lineNo" || !differs(p[k], r[k])) return;
+      out.add(APPROVAL_FIELDS[k] ? "pricing" : "lines");
+    });
+  });
+
+  // sales booked by an invoice belong to the invoice
+  const unbilled = (t) => !t.invoiceId;
+  const billed = (t) => !!t.invoiceId;
+  if (listsDiffer(prev.sales, next.sales, kept, unbilled)) out.add("sales");
+  if (listsDiffer(prev.sales, next.sales, kept, billed)) out.add("invoices");
+  if (listsDiffer(prev.shipments, next.shipments, kept)) out.add("shipments");
+  if (listsDiffer(prev.supplierOrders, next.supplierOrders, kept)) out.add("supplier");
+  if (differs(prev.invoices, next.invoices)) out.add("invoices");
+  if (differs(prev.attachments, next.attachments)) out.add("documents");
+
+  // a new request needs the right to change its field, a decision the right to approve
+  const asked = new Map((prev.approvals || []).map((a) => [a.id, a]));
+  (next.approvals || []).forEach((a) => {
+    const p = asked.get(a.id);
+    if (!p) out.add(HEADER_APPROVAL_FIELDS[a.field] ? "header" : "pricing");
+    else if (differs(p, a)) out.add("approve");
+  });
+  return out;
+};
+
+const totalEdited = (prev, next) => {
+  if (Object.keys(HEADER_APPROVAL_FIELDS).some((k) => differs(prev.header[k], next.header[k]))) return true;
+  const before = new Map(prev.items.map((r) => [r.id, r]));
+  return next.items.some((r) => {
+    const p = before.get(r.id);
+    return p && p !== r && Object.keys(APPROVAL_FIELDS).some((k) => differs(p[k], r[k]));
+  });
+};
+
+// why `access` may not make this change, or "" when it may; `via` "approval" applies a decided request,
+// whose change to a line or the header is covered by the right to approve
+export const deniedChange = (access, prev, next, via) => {
+  if (access.open) return "";
+  const groups = changedGroups(prev, next);
+  if (via === "approval") {
+    groups.delete("pricing");
+    groups.delete("header");
+  }
+  const missing = [...groups].find((g) => !access.can(g));
+  if (missing) return deniedMessage(access, missing);
+  if (via !== "approval" && needsApproval(prev) && totalEdited(prev, next)) {
+    return (
+      `This PO is past "${PRICE_LOCK_AFTER}": prices, quantities, discounts, currency and VAT change ` +
+      "through a request that needs approval (✎ under the field)."
+    );
+  }
+  const own = (next.approvals || []).find((a) => {
+    const p = (prev.approvals || []).find((x) => x.id === a.id);
+    return p && p.status === "pending" && a.status !== "pending" && a.requestedById === a.decidedById;
+  });
+  if (own) return "A request can't be approved or rejected by the person who made it.";
+  return "";
+};
@@ -0,0 +1,112 @@
+import { LINE_DATE_FIELDS, STATUS_STEPS, parseNum } from "./po";
+import { stepIndex } from "./workflow";
+
+/* ---------- Rules ---------- */
+export const PO_NUMBER_PATTERN = /^\d{6,10}$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const PLAIN_NUMBER = /^\s*\d+(\.\d+)?\s*$/;
+// prices may carry a currency code either side, e.g. "KWD 12.500"
+const PRICE = /^\s*(?:[A-Z]{3}\s*)?\d+(?:\.\d+)?(?:\s*[A-Z]{3})?\s*$/i;
+
+export const isISODate = (s) => {
+  if (!ISO_DATE.test(String(s ?? ""))) return false;
+  const d = new Date(s + "T00:00:00Z");
+  return !isNaN(d) && d.toISOString().slice(0, 10) === s;
+};
+
+const checkDate = (v, label) => {
+  if (!String(v ?? "").trim()) return `${label} is required.`;
+  if (!isISODate(v)) return `${label} must be a valid date (YYYY-MM-DD).`;
+  return "";
+};
+
+const checkPercent = (v, label) => {
+  if (!String(v ?? "").trim()) return "";
+  if (!PLAIN_NUMBER.test(v) || parseNum(v) > 100) return `${label} must be a number from 0 to 100.`;
+  return "";
+};
+
+const validateHeader = (h) => {
+  const e = {};
+  if (!String(h.poNumber ?? "").trim()) e.poNumber = "PO Number is required.";
+  else if (!PO_NUMBER_PATTERN.test(h.poNumber.trim())) e.poNumber = "PO Number must be 6–10 digits.";
+  if (!String(h.beneficiaryName ?? "").trim()) e.beneficiaryName = "Beneficiary is required.";
+  if (!String(h.ltsaNumber ?? "").trim()) e.ltsaNumber = "LTSA Number is required.";
+
+  const dates = {
+    dateOfIssue: checkDate(h.dateOfIssue, "Date of Issue"),
+    siteDate: checkDate(h.siteDate, "Required on Site Date"),
+    francoDate: checkDate(h.francoDate, "Required Franco Date"),
+  };
+  Object.entries(dates).forEach(([k, msg]) => { if (msg) e[k] = msg; });
+  // ISO strings compare correctly as text
+  if (!dates.dateOfIssue && !dates.siteDate && h.siteDate < h.dateOfIssue) {
+    e.siteDate = "Required on Site Date cannot be before the Date of Issue.";
+  }
+  if (!dates.francoDate && !dates.siteDate && h.francoDate > h.siteDate) {
+    e.francoDate = "Required Franco Date cannot be after the Required on Site Date.";
+  }
+
+  const tax = checkPercent(h.taxRate, "VAT %");
+  if (tax) e.taxRate = tax;
+  if (h.reportingCurrency && !(PLAIN_NUMBER.test(h.exchangeRate ?? "") && parseNum(h.exchangeRate) > 0)) {
+    e.exchangeRate = "Exchange rate must be a number greater than 0.";
+  }
+  return e;
+};
+
+const validateItem = (r, dupItem) => {
+  const e = {};
+  if (!String(r.maximoNo ?? "").trim()) e.maximoNo = "MAXIMO NO. is required.";
+  if (dupItem) e.item = `Item code "${r.item.trim()}" is used on more than one line.`;
+
+  if (!PLAIN_NUMBER.test(r.qty ?? "")) e.qty = "QTY must be a plain number (no units).";
+  else if (parseNum(r.qty) <= 0) e.qty = "QTY must be greater than 0.";
+
+  if (!PRICE.test(r.unitPrice ?? "")) e.unitPrice = "UNIT PRICE must be a number.";
+  else if (parseNum(r.unitPrice) <= 0) e.unitPrice = "UNIT PRICE must be greater than 0.";
+
+  const disc = checkPercent(r.discountPct, "DISC %");
+  if (disc) e.discountPct = disc;
+
+  // per-line schedule dates are optional
+  LINE_DATE_FIELDS.forEach(({ key, label }) => {
+    if (String(r[key] ?? "").trim() && !isISODate(r[key])) e[key] = `${label} must be a valid date (YYYY-MM-DD).`;
+  });
+  return e;
+};
+
+/* ---------- Engine ---------- */
+// results per line object (edits replace the lines they change), so a keystroke re-checks one line
+const itemCache = new WeakMap();
+const checkedItem = (r, dupItem) => {
+  const hit = itemCache.get(r);
+  if (hit && hit.dupItem === dupItem) return hit.errors;
+  const errors = validateItem(r, dupItem);
+  itemCache.set(r, { dupItem, errors });
+  return errors;
+};
+
+// { header: {field: msg}, items: [{field: msg}], summary: [string], count }
+export const validatePO = (po) => {
+  const header = validateHeader(po.header || {});
+
+  const codeCount = {};
+  po.items.forEach((r) => {
+    const code = String(r.item ?? "").trim().toLowerCase();
+    if (code) codeCount[code] = (codeCount[code] || 0) + 1;
+  });
+  const items = po.items.map((r) => checkedItem(r, codeCount[String(r.item ?? "").trim().toLowerCase()] > 1));
+
+  const summary = [
+    ...Object.values(header),
+    ...items.flatMap((e, i) => Object.values(e).map((msg) => `Line ${po.items[i].lineNo || i + 1}: ${msg}`)),
+  ];
+  return { header, items, summary, count: summary.length };
+};
+
+// forward moves beyond the release step need a clean PO
+export const RELEASE_STEP = STATUS_STEPS[0];
+
+export const blocksTransition = (result, from, to) =>
+  result.count > 0 && stepIndex(to) > stepIndex(from) && stepIndex(to) > stepIndex(RELEASE_STEP);
@@ -0,0 +1,77 @@
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+
+/* ---------- Windowing ---------- */
+// below this many rows the whole table renders as before
+export const VIRTUAL_MIN_ROWS = 150;
+const OVERSCAN = 12;
+
+// first row whose bottom is below `y`; tops has one more entry than there are rows (the total height)
+const rowAt = (tops, y) => {
+  let lo = 0;
+  let hi = tops.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (tops[mid + 1] > y) hi = mid;
+    else lo = mid + 1;
+  }
+  return lo;
+};
+
+// renders only the rows scrolled into view of the scroll container `ref` is put on; the gap above/below is
+// filled with spacer rows (`before` / `after` px). A row counts as `rowHeight` px until it has rendered once,
+// then as tall as it measured, so rows that grow (sale lists, error hints) don't throw the scrolling off
+export const useVirtualRows = (count, rowHeight) => {
+  const [el, ref] = useState(null); // callback ref: tables mount and unmount with their tab
+  const enabled = count > VIRTUAL_MIN_ROWS;
+  const [range, setRange] = useState({ start: 0, end: 60 });
+  const heights = useRef([]); // measured height by row position
+  const updateRef = useRef(null);
+
+  const topsOf = () => {
+    const tops = [0];
+    for (let i = 0; i < count; i++) tops.push(tops[i] + (heights.current[i] ?? rowHeight));
+    return tops;
+  };
+
+  useEffect(() => {
+    if (!el || !enabled) return;
+    // `moved`: heights were measured, so the spacers need a new render even for the same rows
+    const update = (moved = false) => {
+      const tops = topsOf();
+      const start = Math.max(rowAt(tops, el.scrollTop) - OVERSCAN, 0);
+      const end = rowAt(tops, el.scrollTop + el.clientHeight) + 1 + OVERSCAN;
+      setRange((r) => (!moved && r.start === start && r.end === end ? r : { start, end }));
+    };
+    updateRef.current = update;
+    update();
+    const onScroll = () => update();
+    el.addEventListener("scroll", onScroll, { passive: true });
+    window.addEventListener("resize", onScroll);
+    return () => {
+      el.removeEventListener("scroll", onScroll);
+      window.removeEventListener("resize", onScroll);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [el, enabled, count, rowHeight]);
+
+  const end = Math.min(range.end, count);
+  const start = Math.min(range.start, end);
+
+  // after every render, measure the rows shown (the ones between the spacers; nested tables aside)
+  useLayoutEffect(() => {
+    if (!el || !enabled) return;
+    let moved = false;
+    el.querySelectorAll(":scope > table > tbody > tr:not([aria-hidden])").forEach((tr, k) => {
+      const h = tr.offsetHeight;
+      if (h && Math.abs((heights.current[start + k] ?? rowHeight) - h) > 1) {
+        heights.current[start + k] = h;
+        moved = true;
+      }
+    });
+    if (moved) updateRef.current?.(true);
+  });
+
+  if (!enabled) return { ref, enabled, start: 0, end: count, before: 0, after: 0 };
+  const tops = topsOf();
+  return { ref, enabled, start, end, before: tops[start], after: tops[count] - tops[end] };
+};
@@ -0,0 +1,45 @@
+/* ---------- Amount in words ---------- */
+const ONES = [
+  "Zero", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten",
+  "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen", "Seventeen", "Eighteen", "Nineteen",
+];
+const TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"];
+const SCALES = [[1e9, "Billion"], [1e6, "Million"], [1e3, "Thousand"]];
+
+const below1000 = (n) => {
+  const parts = [];
+  if (n >= 100) {
+    parts.push(`${ONES[Math.floor(n / 100)]} Hundred`);
+    n %= 100;
+  }
+  if (n >= 20) {
+    parts.push(TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : ""));
+  } else if (n > 0 || !parts.length) {
+    parts.push(ONES[n]);
+  }
+  return parts.join(" ");
+};
+
+export const integerToWords = (n) => {
+  n = Math.floor(Math.abs(n));
+  if (n < 1000) return below1000(n);
+  const parts = [];
+  for (const [size, name] of SCALES) {
+    if (n >= size) {
+      parts.push(`${integerToWords(Math.floor(n / size))} ${name}`);
+      n %= size;
+    }
+  }
+  if (n) parts.push(below1000(n));
+  return parts.join(" ");
+};
+
+// "Twenty-Five and 50/100 Only"; prefix a currency name for "Kuwaiti Dinars Twenty-Five and 500/1000 Only"
+export const amountInWords = (amount, decimals = 2, currencyName = "") => {
+  const scale = 10 ** decimals;
+  const minor = Math.round(Math.abs(amount) * scale);
+  const whole = Math.floor(minor / scale);
+  const frac = String(minor % scale).padStart(decimals, "0");
+  const fracPart = decimals ? ` and ${frac}/${scale}` : "";
+  return `${currencyName ? currencyName + " " : ""}${integerToWords(whole)}${fracPart} Only`;
+};
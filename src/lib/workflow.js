@@ -0,0 +1,58 @@
+import { STATUS_STEPS } from "./po";
+
+/* ---------- Rules ---------- */
+// forward moves go one step at a time; rollbacks are limited to these targets and need a reason.
+// Back into the shipment-driven steps there is only Stored: the next save re-derives it from the logs anyway
+export const ROLLBACKS = {
+  "Under Production": ["Supplier PO Released"],
+  Delivered: ["Stored"],
+  Invoiced: ["Delivered"],
+  Completed: ["Invoiced"],
+};
+
+// between release and delivery the status follows the line shipment logs, never a manual move
+export const DERIVED_STEPS = ["Under Production", "Shipped", "Stored"];
+
+export const isDerived = (status) => DERIVED_STEPS.includes(status);
+
+const bothDerived = (from, to) => isDerived(from) && isDerived(to);
+
+export const stepIndex = (status) => STATUS_STEPS.indexOf(status);
+
+export const nextStatus = (status) => STATUS_STEPS[stepIndex(status) + 1] || null;
+
+// next step the user may pick by hand (null while shipments drive the status)
+export const manualNext = (status) => {
+  const next = nextStatus(status);
+  return next && !bothDerived(status, next) ? next : null;
+};
+
+export const rollbackTargets = (status) =>
+  (ROLLBACKS[status] || []).filter((to) => !bothDerived(status, to));
+
+export const isAtOrPast = (status, step) =>
+  stepIndex(status) >= 0 && stepIndex(status) >= stepIndex(step);
+
+// returns an error message, or "" when the move is allowed
+export const checkTransition = (from, to, reason = "") => {
+  if (stepIndex(to) < 0) return `Unknown status "${to}".`;
+  if (bothDerived(from, to)) return `"${to}" follows the line shipments and can't be set by hand.`;
+  if (to === nextStatus(from)) return "";
+  if (rollbackTargets(from).includes(to)) {
+    return reason.trim() ? "" : "A reason is required to roll back the status.";
+  }
+  return `Cannot move from "${from}" to "${to}".`;
+};
+
+export const historyEntry = (from, to, reason = "") => ({
+  from,
+  to,
+  at: new Date().toISOString(),
+  reason: reason.trim(),
+});
+
+// older saves allowed any typed status: snap it onto a known step
+export const normalizeStatus = (status) => {
+  const s = String(status ?? "").trim().toLowerCase();
+  return STATUS_STEPS.find((x) => x.toLowerCase() === s) || STATUS_STEPS[0];
+};
@@ -8,3 +8,9 @@ createRoot(document.getElementById('root')).render(
     <App />
   </StrictMode>,
 )
+
+// offline app shell (src/sw.js, emitted as sw.js by the serviceWorker() plugin in vite.config.js);
+// left out of dev so Vite's hot reload isn't served from a cache
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`))
+}
@@ -0,0 +1,49 @@
+// App-shell cache so the PO app opens without a connection (registered from src/main.jsx in builds only).
+// Pages are network-first with the cached shell as fallback; built assets have hashed names, so a cached
+// copy is always the right one. Requests to other origins (the sync server) are never touched.
+// The build (vite.config.js) emits this file as sw.js with self.__PO_BUILD__ = { version, assets } in front:
+// every file of that build, lazily loaded chunks (Excel import / export) included.
+const { version, assets } = self.__PO_BUILD__;
+const PREFIX = "po-shell-";
+const CACHE = `${PREFIX}${version}`;
+const SHELL = ["./", "./manifest.webmanifest", "./icon.svg"];
+
+const precache = async () => {
+  const cache = await caches.open(CACHE);
+  await cache.addAll([...SHELL, ...assets.map((a) => new URL(a, self.registration.scope).href)]);
+};
+
+self.addEventListener("install", (e) => {
+  e.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (e) => {
+  e.waitUntil(
+    caches
+      .keys()
+      // earlier builds' caches only; other apps on the same origin keep theirs
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith(PREFIX) && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const put = async (req, res) => {
+  if (res.ok) await (await caches.open(CACHE)).put(req, res.clone());
+  return res;
+};
+
+self.addEventListener("fetch", (e) => {
+  const req = e.request;
+  if (req.method !== "GET" || new URL(req.url).origin !== self.location.origin) return;
+
+  if (req.mode === "navigate") {
+    e.respondWith(
+      fetch(req)
+        .then((res) => put("./", res))
+        .catch(async () => (await caches.match("./")) || Response.error())
+    );
+    return;
+  }
+
+  e.respondWith(caches.match(req).then((hit) => hit || fetch(req).then((res) => put(req, res))));
+});
@@ -1,8 +1,27 @@
 // vite.config.js
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// emits src/sw.js as sw.js, told which files this build has and named after them,
+// so a new build installs a new service worker with its own cache
+const serviceWorker = () => ({
+  name: 'po-service-worker',
+  apply: 'build',
+  generateBundle(_, bundle) {
+    const assets = Object.keys(bundle).filter((f) => !/\.(html|map)$/.test(f)).sort()
+    const version = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 12)
+    const sw = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: `self.__PO_BUILD__ = ${JSON.stringify({ version, assets })};\n${sw}`,
+    })
+  },
+})
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: '/contract-operation/',   // <-- must match repository name exactly
 })